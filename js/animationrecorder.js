@@ -0,0 +1,380 @@
+/**
+ * ANIMATIONRECORDER.JS - Registrazione di animazioni nel visualizzatore
+ *
+ * Questo modulo gestisce:
+ * - Selezione di un modello (dalla lista o cliccandolo nella vista)
+ * - Spostamento del modello trascinandolo o a passi (nudge)
+ * - Keyframe di modelli e camera al tempo della timeline
+ * - Esportazione in un file animazione .txt o .csv leggibile da Animator
+ */
+
+window.AnimationRecorder = {
+    
+    /* ===== STATO REGISTRAZIONE ===== */
+    active: false,                 // Modalità autore attiva
+    selectedModel: null,           // Modello selezionato (THREE.Object3D)
+    keyframes: [],                 // Keyframe registrati, ordinati per tempo
+    restStates: {},                // Nome oggetto -> stato prima della registrazione
+    drag: null,                    // Trascinamento in corso { model, plane, offset }
+    fileName: 'registrazione',     // Nome base del file esportato
+    
+    /* ===== CALLBACK ===== */
+    callbacks: {
+        onChange: null,            // Chiamata quando cambiano i keyframe registrati
+        onSelectionChange: null    // Chiamata quando cambia o si sposta il modello selezionato
+    },
+    
+    /**
+     * Inizializza il modulo registrazione
+     */
+    init: function() {
+        AppConfig.log(2, 'AnimationRecorder inizializzato');
+    },
+    
+    /* ===== MODALITÀ AUTORE ===== */
+    
+    /**
+     * Attiva la modalità autore
+     * La clip attiva viene fermata: la timeline mostra da ora la registrazione
+     */
+    start: function() {
+        if (this.active) return;
+        
+        this.active = true;
+        if (this.keyframes.length > 0) {
+            this.refreshClip(Animator.currentTime);
+        } else {
+            Animator.stop();
+            Animator.clear();
+        }
+        
+        AppConfig.log(2, 'Modalità autore attivata');
+    },
+    
+    /**
+     * Disattiva la modalità autore (la registrazione resta caricata nella timeline)
+     */
+    stop: function() {
+        this.active = false;
+        this.drag = null;
+        AppConfig.log(2, 'Modalità autore disattivata');
+    },
+    
+    /**
+     * Cancella la registrazione e riporta i modelli allo stato iniziale
+     */
+    reset: function() {
+        Animator.clear();
+        Object.values(this.restStates).forEach(state => Animator.restoreState(state));
+        
+        this.keyframes = [];
+        this.restStates = {};
+        this.notifyChange();
+    },
+    
+    /**
+     * Dimentica registrazione e selezione (es. quando i modelli vengono rimossi)
+     */
+    clear: function() {
+        this.active = false;
+        this.selectedModel = null;
+        this.keyframes = [];
+        this.restStates = {};
+        this.drag = null;
+    },
+    
+    /* ===== SELEZIONE E MOVIMENTO ===== */
+    
+    /**
+     * Seleziona un modello da registrare
+     */
+    selectModel: function(model) {
+        this.selectedModel = model || null;
+        
+        // Lo stato prima del primo tocco è il riferimento della registrazione
+        if (model && !this.restStates[model.name]) {
+            this.restStates[model.name] = Animator.captureState(model);
+        }
+        
+        this.notifySelectionChange();
+    },
+    
+    /**
+     * Sposta il modello selezionato lungo un asse
+     * @param {string} axis - 'x', 'y' o 'z'
+     * @param {number} amount - Spostamento in unità scena
+     */
+    nudge: function(axis, amount) {
+        if (!this.selectedModel) return;
+        
+        this.selectedModel.position[axis] += amount;
+        this.notifySelectionChange();
+    },
+    
+    /**
+     * Ruota il modello selezionato attorno a un asse
+     * @param {string} axis - 'x', 'y' o 'z'
+     * @param {number} degrees - Rotazione in gradi
+     */
+    rotate: function(axis, degrees) {
+        if (!this.selectedModel) return;
+        
+        this.selectedModel.rotation[axis] += THREE.MathUtils.degToRad(degrees);
+        this.notifySelectionChange();
+    },
+    
+    /**
+     * Inizia il trascinamento se il puntatore è sopra un modello
+     * Chiamata da Scene3D prima di usare il gesto per la camera
+     * @returns {boolean} True se il gesto è stato preso dalla registrazione
+     */
+    startDrag: function(clientX, clientY) {
+        if (!this.active) return false;
+        
+        const raycaster = this.getRaycaster(clientX, clientY);
+        const hit = raycaster.intersectObjects(Scene3D.loadedModels, true)[0];
+        if (!hit) return false;
+        
+        const model = Scene3D.loadedModels.find(candidate => {
+            let node = hit.object;
+            while (node && node !== candidate) node = node.parent;
+            return node === candidate;
+        });
+        if (!model) return false;
+        
+        if (Animator.isPlaying) Animator.pause();
+        this.selectModel(model);
+        
+        // Il modello si muove sul piano perpendicolare alla vista passante per il punto preso
+        const normal = new THREE.Vector3();
+        Scene3D.camera.getWorldDirection(normal);
+        
+        this.drag = {
+            model: model,
+            plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, hit.point),
+            offset: hit.point.clone().sub(model.position)
+        };
+        return true;
+    },
+    
+    /**
+     * Aggiorna il trascinamento con la nuova posizione del puntatore
+     */
+    dragTo: function(clientX, clientY) {
+        if (!this.drag) return;
+        
+        const point = new THREE.Vector3();
+        const raycaster = this.getRaycaster(clientX, clientY);
+        if (raycaster.ray.intersectPlane(this.drag.plane, point)) {
+            this.drag.model.position.copy(point.sub(this.drag.offset));
+            this.notifySelectionChange();
+        }
+    },
+    
+    /**
+     * Termina il trascinamento
+     */
+    endDrag: function() {
+        this.drag = null;
+    },
+    
+    /**
+     * Raggio dalla camera attraverso un punto dello schermo
+     */
+    getRaycaster: function(clientX, clientY) {
+        const rect = Scene3D.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, Scene3D.camera);
+        return raycaster;
+    },
+    
+    /* ===== KEYFRAME ===== */
+    
+    /**
+     * Registra la posa del modello selezionato al tempo indicato
+     * @param {number} time - Tempo in millisecondi
+     * @returns {boolean} True se il keyframe è stato aggiunto
+     */
+    addModelKeyframe: function(time) {
+        const model = this.selectedModel;
+        if (!model) {
+            AppConfig.log(1, 'Nessun modello selezionato per il keyframe');
+            return false;
+        }
+        
+        this.putKeyframe({
+            time: time,
+            object: model.name,
+            position: model.position.clone(),
+            rotation: model.rotation.clone(),
+            scale: model.scale.clone()
+        });
+        return true;
+    },
+    
+    /**
+     * Registra la vista corrente come keyframe della camera
+     * @param {number} time - Tempo in millisecondi
+     */
+    addCameraKeyframe: function(time) {
+        const view = Scene3D.getCameraView();
+        
+        this.putKeyframe({
+            time: time,
+            object: Animator.cameraObject,
+            position: view.position,
+            target: view.target,
+            fov: view.fov
+        });
+        return true;
+    },
+    
+    /**
+     * Rimuove il keyframe del modello selezionato al tempo indicato
+     * @returns {boolean} True se è stato rimosso un keyframe
+     */
+    removeKeyframe: function(time) {
+        if (!this.selectedModel) return false;
+        
+        const index = this.findKeyframeIndex(this.selectedModel.name, time);
+        if (index < 0) return false;
+        
+        this.keyframes.splice(index, 1);
+        this.refreshClip(time);
+        return true;
+    },
+    
+    /**
+     * Inserisce un keyframe, sostituendo quello dello stesso oggetto allo stesso tempo
+     */
+    putKeyframe: function(keyframe) {
+        keyframe.time = Math.max(0, Math.round(keyframe.time));
+        
+        const index = this.findKeyframeIndex(keyframe.object, keyframe.time);
+        if (index >= 0) {
+            this.keyframes[index] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+        
+        AppConfig.log(3, `Keyframe ${keyframe.object} a ${keyframe.time}ms`);
+        this.refreshClip(keyframe.time);
+    },
+    
+    /**
+     * Indice del keyframe di un oggetto al tempo indicato (-1 se assente)
+     */
+    findKeyframeIndex: function(objectName, time) {
+        return this.keyframes.findIndex(keyframe =>
+            keyframe.object === objectName && Math.abs(keyframe.time - Math.round(time)) < 1);
+    },
+    
+    /**
+     * Ricarica la registrazione in Animator per vederla nella timeline
+     * @param {number} time - Tempo a cui portare la timeline
+     */
+    refreshClip: function(time) {
+        // I modelli registrati ripartono dallo stato originale prima dell'associazione
+        Animator.clear();
+        Object.values(this.restStates).forEach(state => Animator.restoreState(state));
+        
+        if (this.keyframes.length > 0) {
+            const clip = Animator.parse(this.serialize('txt'), `${this.fileName}.txt`);
+            Animator.load(clip);
+            Animator.seek(time);
+        }
+        
+        this.notifyChange();
+    },
+    
+    /* ===== ESPORTAZIONE ===== */
+    
+    /**
+     * Converte la registrazione nel testo di un file animazione
+     * @param {string} format - 'txt' (righe time,object,x,y,z,chiave=valore) o 'csv' (con intestazione)
+     * @returns {string} Contenuto del file
+     */
+    serialize: function(format) {
+        const n = (value) => parseFloat(value.toFixed(6)).toString();
+        const degrees = (euler) => ['x', 'y', 'z'].map(axis => n(THREE.MathUtils.radToDeg(euler[axis])));
+        const vector = (v) => [n(v.x), n(v.y), n(v.z)];
+        
+        const lines = [];
+        
+        if (format === 'csv') {
+            lines.push('time,object,x,y,z,rx,ry,rz,sx,sy,sz,tx,ty,tz,fov');
+            this.keyframes.forEach(keyframe => {
+                const isCamera = keyframe.object === Animator.cameraObject;
+                const cells = [keyframe.time, keyframe.object, ...vector(keyframe.position)];
+                cells.push(...(isCamera ? ['', '', '', '', '', ''] : [...degrees(keyframe.rotation), ...vector(keyframe.scale)]));
+                cells.push(...(isCamera ? [...vector(keyframe.target), n(keyframe.fov)] : ['', '', '', '']));
+                lines.push(cells.join(','));
+            });
+        } else {
+            lines.push('# Animazione registrata nel visualizzatore');
+            lines.push('# time,object,x,y,z,chiave=valore (time in millisecondi)');
+            this.keyframes.forEach(keyframe => {
+                const cells = [keyframe.time, keyframe.object, ...vector(keyframe.position)];
+                if (keyframe.object === Animator.cameraObject) {
+                    cells.push(`target=${vector(keyframe.target).join(':')}`, `fov=${n(keyframe.fov)}`);
+                } else {
+                    cells.push(`rot=${degrees(keyframe.rotation).join(':')}`, `scale=${vector(keyframe.scale).join(':')}`);
+                }
+                lines.push(cells.join(','));
+            });
+        }
+        
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Scarica la registrazione come file animazione
+     * @param {string} format - 'txt' o 'csv'
+     */
+    download: function(format) {
+        if (this.keyframes.length === 0) {
+            AppConfig.log(1, 'Nessun keyframe da esportare');
+            return false;
+        }
+        
+        const blob = new Blob([this.serialize(format)], { type: format === 'csv' ? 'text/csv' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.fileName}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        AppConfig.log(2, `Animazione esportata: ${link.download} (${this.keyframes.length} keyframe)`);
+        return true;
+    },
+    
+    /* ===== NOTIFICHE ===== */
+    
+    /**
+     * Notifica il cambio dei keyframe registrati
+     */
+    notifyChange: function() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.keyframes);
+        }
+    },
+    
+    /**
+     * Notifica il cambio o lo spostamento del modello selezionato
+     */
+    notifySelectionChange: function() {
+        if (this.callbacks.onSelectionChange) {
+            this.callbacks.onSelectionChange(this.selectedModel);
+        }
+    }
+};
@@ -0,0 +1,1134 @@
+/**
+ * ANIMATOR.JS - Riproduzione animazioni a keyframe
+ *
+ * Questo modulo gestisce:
+ * - Parsing dei file animazione (time,object,x,y,z e varianti estese/CSV)
+ * - Diagnostica con file, riga e motivo di ogni problema trovato
+ * - Associazione delle tracce ai modelli caricati in Scene3D
+ * - Interpolazione di posizione, rotazione, scala, opacità e visibilità
+ * - Keyframe della camera (posizione, punto osservato, campo visivo)
+ * - Curve di easing per segmento (step, lineare, ease, Bézier, slerp)
+ * - Stato di riproduzione (play, pausa, stop, loop, velocità)
+ * - Navigazione nel tempo (seek e passo tra keyframe)
+ */
+
+window.Animator = {
+    
+    /* ===== STATO ANIMAZIONE ===== */
+    currentClip: null,             // Clip attiva { name, duration, tracks }
+    bindings: {},                  // Nome oggetto -> modello THREE.Object3D
+    restState: {},                 // Nome oggetto -> stato originale del modello
+    currentTime: 0,                // Tempo corrente in millisecondi
+    isPlaying: false,              // Riproduzione in corso
+    playbackSpeed: 1,              // Moltiplicatore velocità di riproduzione
+    loop: false,                   // Ripete la clip al termine
+    loopWaitRemaining: 0,          // Pausa residua prima del prossimo loop (ms)
+    
+    /* ===== STATO CAMERA ===== */
+    cameraTrack: null,             // Traccia dell'oggetto "camera" della clip attiva
+    cameraRest: null,              // Vista dell'utente quando la clip è stata caricata
+    cameraActive: false,           // La clip guida la camera (dopo play o seek)
+    cameraBlend: null,             // Transizione dalla vista utente { from, elapsed }
+    cameraOverridden: false,       // L'utente ha ripreso il controllo della camera
+    cameraSettings: {
+        follow: true,              // Applica i keyframe della camera
+        lock: false                // Blocca i controlli camera durante la riproduzione
+    },
+    
+    /* ===== CALLBACK ===== */
+    callbacks: {
+        onComplete: null,          // Chiamata al termine della riproduzione
+        onTimeUpdate: null,        // Chiamata quando cambia il tempo corrente
+        onStateChange: null        // Chiamata al cambio play/pausa
+    },
+    
+    /**
+     * Inizializza il modulo animazioni
+     */
+    init: function() {
+        const camera = AppConfig.animations.camera;
+        if (camera) {
+            this.cameraSettings.follow = camera.follow !== false;
+            this.cameraSettings.lock = !!camera.lockDuringPlayback;
+        }
+        AppConfig.log(2, 'Animator inizializzato');
+    },
+    
+    /* ===== PARSING FILE ANIMAZIONE ===== */
+    
+    // Proprietà animabili di ogni oggetto (target e fov solo per la camera)
+    trackProperties: ['position', 'rotation', 'scale', 'opacity', 'visible', 'target', 'fov'],
+    
+    // Colonne riconosciute nell'intestazione CSV e come chiavi key=value
+    columnNames: ['time', 'object', 'x', 'y', 'z', 'rx', 'ry', 'rz',
+                  'scale', 'sx', 'sy', 'sz', 'opacity', 'visible', 'ease', 'rotinterp',
+                  'tx', 'ty', 'tz', 'fov'],
+    
+    // Nome riservato dell'oggetto che anima la camera
+    cameraObject: 'camera',
+    
+    // Curve di easing predefinite come punti di controllo Bézier (come in CSS)
+    easingPresets: {
+        'linear': [0, 0, 1, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1]
+    },
+    
+    easingCache: {},               // Curve già analizzate, per testo
+    
+    /**
+     * Analizza il contenuto di un file animazione
+     * 
+     * Formato riga: time,object,x,y,z[,chiave=valore...] (time in millisecondi)
+     * - x,y,z possono restare vuoti se il keyframe non cambia la posizione
+     * - rot=rx:ry:rz rotazione in gradi
+     * - scale=s oppure scale=sx:sy:sz scala uniforme o per asse
+     * - opacity=0..1 moltiplica l'opacità originale dei materiali
+     * - visible=0|1 mostra o nasconde l'oggetto
+     * - ease=step|linear|ease-in|ease-out|ease-in-out|bezier:x1:y1:x2:y2
+     *   curva del segmento che parte da questo keyframe
+     * - rotinterp=euler|slerp interpolazione della rotazione nel segmento
+     * 
+     * L'oggetto "camera" anima la vista: x,y,z è la posizione della camera,
+     * target=tx:ty:tz il punto osservato e fov=gradi il campo visivo verticale
+     * 
+     * In alternativa (tipicamente nei .csv) la prima riga può essere
+     * un'intestazione con i nomi delle colonne: time,object,x,y,z,rx,ry,rz,...
+     * 
+     * I problemi non bloccano il caricamento: le righe errate vengono ignorate
+     * e ogni problema finisce in clip.diagnostics (vedi addDiagnostic)
+     * 
+     * @param {string} content - Testo del file
+     * @param {string} fileName - Nome del file (per log e nome clip)
+     * @returns {Object} Clip { name, duration, tracks, diagnostics, objectLines }
+     */
+    parse: function(content, fileName) {
+        const clip = {
+            name: fileName,
+            duration: 0,
+            tracks: {},
+            diagnostics: [],       // Problemi trovati { file, line, reason, severity }
+            objectLines: {}        // Nome oggetto -> prima riga in cui compare
+        };
+        
+        let header = null;         // Colonne dell'intestazione CSV, se presente
+        const lines = content.split(/\r?\n/);
+        
+        const lastTimes = {};      // Nome oggetto -> { time, line } del keyframe più avanti
+        const usedTimes = {};      // "oggetto@tempo" -> proprietà -> riga
+        
+        const warn = (lineNumber, reason) => {
+            this.addDiagnostic(clip, lineNumber, `riga ignorata: ${reason}`, 'error');
+        };
+        
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            
+            // Rimuove commenti e spazi
+            const line = rawLine.split('#')[0].trim();
+            if (!line) return;
+            
+            const cells = line.split(',').map(cell => cell.trim());
+            
+            // La prima riga dati può essere l'intestazione delle colonne
+            if (!header && clip.duration === 0 && Object.keys(clip.tracks).length === 0 &&
+                cells[0].toLowerCase() === 'time') {
+                header = cells.map(cell => cell.toLowerCase());
+                const unknown = header.filter(name => !this.columnNames.includes(name));
+                if (unknown.length > 0) {
+                    this.addDiagnostic(clip, lineNumber, `colonne sconosciute ignorate: ${unknown.join(', ')}`, 'warning');
+                }
+                return;
+            }
+            
+            const fields = header
+                ? this.readHeaderRow(cells, header)
+                : this.readPositionalRow(cells);
+            
+            if (fields.error) {
+                warn(lineNumber, fields.error);
+                return;
+            }
+            
+            const keyframe = this.buildKeyframe(fields);
+            if (keyframe.error) {
+                warn(lineNumber, keyframe.error);
+                return;
+            }
+            
+            const object = keyframe.object;
+            
+            // I tempi di un oggetto devono crescere riga dopo riga
+            const last = lastTimes[object];
+            if (last && keyframe.time < last.time) {
+                this.addDiagnostic(clip, lineNumber,
+                    `tempo ${keyframe.time} fuori ordine per "${object}" (riga ${last.line} è a ${last.time})`, 'warning');
+            } else {
+                lastTimes[object] = { time: keyframe.time, line: lineNumber };
+            }
+            
+            // Una proprietà può avere un solo keyframe per tempo: vale la prima riga
+            const timeKey = `${object}@${keyframe.time}`;
+            const used = usedTimes[timeKey] || (usedTimes[timeKey] = {});
+            Object.keys(keyframe.values).forEach(property => {
+                if (used[property]) {
+                    this.addDiagnostic(clip, lineNumber,
+                        `tempo ${keyframe.time} duplicato per "${object}" (${property} già alla riga ${used[property]}), valore ignorato`, 'error');
+                    delete keyframe.values[property];
+                } else {
+                    used[property] = lineNumber;
+                }
+            });
+            
+            if (!clip.tracks[object]) {
+                clip.tracks[object] = this.createTrack();
+                clip.objectLines[object] = lineNumber;
+            }
+            
+            const track = clip.tracks[object];
+            Object.keys(keyframe.values).forEach(property => {
+                const entry = {
+                    time: keyframe.time,
+                    value: keyframe.values[property],
+                    easing: keyframe.easing,
+                    rotationMode: keyframe.rotationMode
+                };
+                
+                // Il quaternione serve all'interpolazione sferica
+                if (property === 'rotation') {
+                    entry.quaternion = new THREE.Quaternion().setFromEuler(entry.value);
+                }
+                
+                track[property].push(entry);
+            });
+            
+            clip.duration = Math.max(clip.duration, keyframe.time);
+        });
+        
+        // Ordina i keyframe di ogni traccia per tempo
+        Object.values(clip.tracks).forEach(track => {
+            this.trackProperties.forEach(property => {
+                track[property].sort((a, b) => a.time - b.time);
+            });
+        });
+        
+        AppConfig.log(2, `Animazione ${fileName}: ${Object.keys(clip.tracks).length} oggetti, ${clip.duration}ms` +
+                      (clip.diagnostics.length > 0 ? `, ${clip.diagnostics.length} problemi` : ''));
+        return clip;
+    },
+    
+    /**
+     * Registra un problema del file animazione e lo scrive nel log
+     * @param {Object} clip - Clip in analisi
+     * @param {number} line - Numero di riga (da 1)
+     * @param {string} reason - Descrizione del problema
+     * @param {string} severity - 'error' (dati ignorati) o 'warning' (dati usati comunque)
+     */
+    addDiagnostic: function(clip, line, reason, severity) {
+        clip.diagnostics.push({ file: clip.name, line: line, reason: reason, severity: severity });
+        AppConfig.log(1, `${clip.name}:${line} ${reason}`);
+    },
+    
+    /**
+     * Verifica che gli oggetti della clip corrispondano ai modelli caricati
+     * Va chiamata dopo il caricamento dei modelli; ogni oggetto viene segnalato una sola volta
+     * @returns {Array} Tutti i problemi della clip
+     */
+    checkObjects: function(clip) {
+        if (clip.objectsChecked) return clip.diagnostics;
+        clip.objectsChecked = true;
+        
+        Object.keys(clip.tracks).forEach(objectName => {
+            if (this.isCameraObject(objectName) || this.findModel(objectName)) return;
+            
+            const known = window.Scene3D ? Scene3D.loadedModels.map(model => model.name).join(', ') : '';
+            this.addDiagnostic(clip, clip.objectLines[objectName],
+                `oggetto "${objectName}" non trovato tra i modelli caricati` + (known ? ` (${known})` : ''), 'error');
+        });
+        
+        // In ordine di riga, come nel file
+        clip.diagnostics.sort((a, b) => a.line - b.line);
+        return clip.diagnostics;
+    },
+    
+    /**
+     * Crea una traccia vuota con una lista di keyframe per proprietà
+     */
+    createTrack: function() {
+        const track = {};
+        this.trackProperties.forEach(property => {
+            track[property] = [];
+        });
+        return track;
+    },
+    
+    /**
+     * Legge una riga nel formato posizionale time,object,x,y,z[,chiave=valore...]
+     * @returns {Object} Campi per nome colonna, oppure { error }
+     */
+    readPositionalRow: function(cells) {
+        if (cells.length < 2) {
+            return { error: 'colonne insufficienti' };
+        }
+        
+        const fields = { time: cells[0], object: cells[1] };
+        const rest = cells.slice(2);
+        
+        // Le prime tre colonne dopo l'oggetto sono x,y,z (se non sono chiave=valore)
+        const axes = ['x', 'y', 'z'];
+        while (axes.length > 0 && rest.length > 0 && !rest[0].includes('=')) {
+            fields[axes.shift()] = rest.shift();
+        }
+        
+        if (axes.length > 0 && axes.length < 3) {
+            return { error: 'posizione incompleta, servono x,y,z' };
+        }
+        
+        for (const pair of rest) {
+            const separator = pair.indexOf('=');
+            if (separator < 0) {
+                return { error: `valore "${pair}" senza chiave` };
+            }
+            
+            const key = pair.substring(0, separator).trim().toLowerCase();
+            const value = pair.substring(separator + 1).trim();
+            const components = value.split(':').map(v => v.trim());
+            
+            if (key === 'rot' || key === 'rotation') {
+                if (components.length !== 3) {
+                    return { error: 'rot richiede rx:ry:rz' };
+                }
+                [fields.rx, fields.ry, fields.rz] = components;
+            } else if (key === 'scale' && components.length === 3) {
+                [fields.sx, fields.sy, fields.sz] = components;
+            } else if (key === 'target') {
+                if (components.length !== 3) {
+                    return { error: 'target richiede tx:ty:tz' };
+                }
+                [fields.tx, fields.ty, fields.tz] = components;
+            } else if (this.columnNames.includes(key) && key !== 'time' && key !== 'object') {
+                fields[key] = value;
+            } else {
+                return { error: `chiave sconosciuta "${key}"` };
+            }
+        }
+        
+        return fields;
+    },
+    
+    /**
+     * Legge una riga CSV usando i nomi di colonna dell'intestazione
+     * @returns {Object} Campi per nome colonna
+     */
+    readHeaderRow: function(cells, header) {
+        const fields = {};
+        header.forEach((name, column) => {
+            if (this.columnNames.includes(name) && cells[column] !== undefined) {
+                fields[name] = cells[column];
+            }
+        });
+        return fields;
+    },
+    
+    /**
+     * Converte i campi testuali di una riga nei valori dei keyframe
+     * @returns {Object} { time, object, values } oppure { error }
+     */
+    buildKeyframe: function(fields) {
+        const isSet = (name) => fields[name] !== undefined && fields[name] !== '';
+        const number = (name) => parseFloat(fields[name]);
+        
+        const time = parseFloat(fields.time);
+        if (isNaN(time) || time < 0) {
+            return { error: `tempo non valido "${fields.time}"` };
+        }
+        if (!fields.object) {
+            return { error: 'nome oggetto mancante' };
+        }
+        
+        const values = {};
+        
+        // Gruppi di tre assi: devono essere tutti presenti o tutti assenti
+        const readAxes = (names, label) => {
+            const present = names.filter(isSet);
+            if (present.length === 0) return null;
+            if (present.length < 3) {
+                return { error: `${label} incompleta, servono ${names.join(',')}` };
+            }
+            const numbers = names.map(number);
+            if (numbers.some(isNaN)) {
+                return { error: `${label} non numerica` };
+            }
+            return { numbers };
+        };
+        
+        const position = readAxes(['x', 'y', 'z'], 'posizione');
+        if (position && position.error) return position;
+        if (position) {
+            values.position = new THREE.Vector3(...position.numbers);
+        }
+        
+        const rotation = readAxes(['rx', 'ry', 'rz'], 'rotazione');
+        if (rotation && rotation.error) return rotation;
+        if (rotation) {
+            const radians = rotation.numbers.map(THREE.MathUtils.degToRad);
+            values.rotation = new THREE.Euler(...radians);
+        }
+        
+        const scale = readAxes(['sx', 'sy', 'sz'], 'scala');
+        if (scale && scale.error) return scale;
+        if (scale) {
+            values.scale = new THREE.Vector3(...scale.numbers);
+        } else if (isSet('scale')) {
+            const uniform = number('scale');
+            if (isNaN(uniform)) return { error: `scala non valida "${fields.scale}"` };
+            values.scale = new THREE.Vector3(uniform, uniform, uniform);
+        }
+        
+        if (isSet('opacity')) {
+            const opacity = number('opacity');
+            if (isNaN(opacity) || opacity < 0 || opacity > 1) {
+                return { error: `opacità non valida "${fields.opacity}" (0..1)` };
+            }
+            values.opacity = opacity;
+        }
+        
+        if (isSet('visible')) {
+            const flag = fields.visible.toLowerCase();
+            if (['1', 'true', 'yes', 'si', 'sì'].includes(flag)) {
+                values.visible = true;
+            } else if (['0', 'false', 'no'].includes(flag)) {
+                values.visible = false;
+            } else {
+                return { error: `visible non valido "${fields.visible}"` };
+            }
+        }
+        
+        const target = readAxes(['tx', 'ty', 'tz'], 'target');
+        if (target && target.error) return target;
+        if (target) {
+            values.target = new THREE.Vector3(...target.numbers);
+        }
+        
+        if (isSet('fov')) {
+            const fov = number('fov');
+            if (isNaN(fov) || fov <= 0 || fov >= 180) {
+                return { error: `fov non valido "${fields.fov}" (gradi, 0..180)` };
+            }
+            values.fov = fov;
+        }
+        
+        // La camera ha solo posizione, target e fov; gli oggetti non hanno target e fov
+        const isCamera = this.isCameraObject(fields.object);
+        const invalid = Object.keys(values).filter(property => isCamera
+            ? !['position', 'target', 'fov'].includes(property)
+            : property === 'target' || property === 'fov');
+        if (invalid.length > 0) {
+            return { error: isCamera
+                ? `la camera non supporta ${invalid.join(', ')}`
+                : `${invalid.join(', ')} ${invalid.length > 1 ? 'valgono' : 'vale'} solo per l'oggetto "${this.cameraObject}"` };
+        }
+        
+        if (Object.keys(values).length === 0) {
+            return { error: 'nessun valore da animare' };
+        }
+        
+        // Curva e interpolazione rotazione del segmento (null = default da AppConfig)
+        let easing = null;
+        if (isSet('ease')) {
+            easing = this.parseEasing(fields.ease);
+            if (easing.error) return easing;
+        }
+        
+        let rotationMode = null;
+        if (isSet('rotinterp')) {
+            rotationMode = fields.rotinterp.toLowerCase();
+            if (rotationMode !== 'euler' && rotationMode !== 'slerp') {
+                return { error: `rotinterp non valido "${fields.rotinterp}" (euler|slerp)` };
+            }
+        }
+        
+        return { time, object: fields.object, values, easing, rotationMode };
+    },
+    
+    /**
+     * Analizza la descrizione testuale di una curva di easing
+     * @param {string} text - step, linear, ease-in, ease-out, ease-in-out o bezier:x1:y1:x2:y2
+     * @returns {Object} { type: 'step' } o { type: 'bezier', points }, oppure { error }
+     */
+    parseEasing: function(text) {
+        const key = text.trim().toLowerCase();
+        if (this.easingCache[key]) return this.easingCache[key];
+        
+        let easing;
+        if (key === 'step') {
+            easing = { type: 'step' };
+        } else if (this.easingPresets[key]) {
+            easing = { type: 'bezier', points: this.easingPresets[key] };
+        } else if (key.startsWith('bezier:')) {
+            const points = key.substring(7).split(':').map(parseFloat);
+            const valid = points.length === 4 && !points.some(isNaN) &&
+                          points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1;
+            if (!valid) {
+                return { error: `curva Bézier non valida "${text}" (bezier:x1:y1:x2:y2, x in 0..1)` };
+            }
+            easing = { type: 'bezier', points: points };
+        } else {
+            return { error: `easing sconosciuto "${text}"` };
+        }
+        
+        this.easingCache[key] = easing;
+        return easing;
+    },
+    
+    /* ===== CARICAMENTO E ASSOCIAZIONE ===== */
+    
+    /**
+     * Analizza e carica un'animazione dal testo del file
+     * @returns {Object} Clip caricata
+     */
+    loadFromText: function(content, fileName) {
+        const clip = this.parse(content, fileName);
+        this.load(clip);
+        return clip;
+    },
+    
+    /**
+     * Imposta la clip attiva e la associa ai modelli della scena
+     */
+    load: function(clip) {
+        this.stop();
+        
+        this.currentClip = clip;
+        this.currentTime = 0;
+        this.bind(clip);
+        
+        // Porta subito i modelli nella posizione iniziale della clip
+        this.apply(0);
+        this.notifyTimeUpdate();
+    },
+    
+    /**
+     * Associa le tracce della clip ai modelli in Scene3D.loadedModels
+     */
+    bind: function(clip) {
+        this.bindings = {};
+        this.restState = {};
+        
+        this.cameraTrack = null;
+        this.cameraRest = null;
+        this.cameraActive = false;
+        this.cameraBlend = null;
+        
+        Object.keys(clip.tracks).forEach(objectName => {
+            // La traccia camera non è associata a un modello
+            if (this.isCameraObject(objectName)) {
+                if (window.Scene3D && Scene3D.camera) {
+                    this.cameraTrack = clip.tracks[objectName];
+                    this.cameraRest = Scene3D.getCameraView();
+                }
+                return;
+            }
+            
+            const model = this.findModel(objectName);
+            
+            if (!model) {
+                // Segnalato una volta da checkObjects
+                AppConfig.log(3, `Animazione ${clip.name}: oggetto "${objectName}" non associato`);
+                return;
+            }
+            
+            this.bindings[objectName] = model;
+            this.restState[objectName] = this.captureState(model);
+        });
+        
+        AppConfig.log(3, `Animazione ${clip.name}: ${Object.keys(this.bindings).length} oggetti associati`);
+    },
+    
+    /**
+     * Salva lo stato di un modello per poterlo ripristinare allo stop
+     */
+    captureState: function(model) {
+        const materials = [];
+        
+        model.traverse(child => {
+            if (!child.material) return;
+            const list = Array.isArray(child.material) ? child.material : [child.material];
+            list.forEach(material => {
+                // L'opacità del file modello resta il riferimento per i fattori opacity=
+                if (material.userData.baseOpacity === undefined) {
+                    material.userData.baseOpacity = material.opacity;
+                    material.userData.baseTransparent = material.transparent;
+                }
+                
+                materials.push({
+                    material: material,
+                    opacity: material.opacity,
+                    transparent: material.transparent
+                });
+            });
+        });
+        
+        // Fattore di opacità corrente (diverso da 1 se un passo precedente l'ha cambiato)
+        const first = materials[0];
+        const opacityFactor = first && first.material.userData.baseOpacity > 0
+            ? first.opacity / first.material.userData.baseOpacity
+            : 1;
+        
+        return {
+            model: model,
+            position: model.position.clone(),
+            rotation: model.rotation.clone(),
+            scale: model.scale.clone(),
+            visible: model.visible,
+            opacityFactor: opacityFactor,
+            materials: materials
+        };
+    },
+    
+    /**
+     * Ripristina uno stato salvato con captureState
+     */
+    restoreState: function(state) {
+        state.model.position.copy(state.position);
+        state.model.rotation.copy(state.rotation);
+        state.model.scale.copy(state.scale);
+        state.model.visible = state.visible;
+        
+        state.materials.forEach(entry => {
+            entry.material.opacity = entry.opacity;
+            entry.material.transparent = entry.transparent;
+        });
+    },
+    
+    /**
+     * Indica se un nome oggetto si riferisce alla camera
+     */
+    isCameraObject: function(objectName) {
+        return objectName.toLowerCase() === this.cameraObject;
+    },
+    
+    /**
+     * Cerca un modello caricato per nome file (con o senza estensione)
+     */
+    findModel: function(objectName) {
+        if (!window.Scene3D) return null;
+        
+        const target = objectName.toLowerCase();
+        const stripExtension = (name) => name.replace(/\.[^/.]+$/, '');
+        
+        return Scene3D.loadedModels.find(model => {
+            const name = (model.name || '').toLowerCase();
+            return name === target || stripExtension(name) === stripExtension(target);
+        }) || null;
+    },
+    
+    /* ===== RIPRODUZIONE ===== */
+    
+    /**
+     * Avvia (o riprende) la riproduzione della clip attiva
+     * @returns {boolean} True se la riproduzione è partita
+     */
+    play: function() {
+        if (!this.currentClip) {
+            AppConfig.log(1, 'Nessuna animazione caricata');
+            return false;
+        }
+        
+        // Se la clip è terminata riparte dall'inizio
+        if (this.currentTime >= this.currentClip.duration) {
+            this.currentTime = 0;
+        }
+        
+        this.isPlaying = true;
+        this.loopWaitRemaining = 0;
+        
+        // Ogni avvio restituisce la camera all'animazione, partendo dalla vista corrente
+        this.cameraOverridden = false;
+        this.activateCamera(true);
+        
+        this.notifyStateChange();
+        
+        AppConfig.log(2, `Riproduzione animazione ${this.currentClip.name}`);
+        return true;
+    },
+    
+    /**
+     * Mette in pausa la riproduzione
+     */
+    pause: function() {
+        this.isPlaying = false;
+        this.loopWaitRemaining = 0;
+        this.notifyStateChange();
+    },
+    
+    /**
+     * Ferma la riproduzione e ripristina la posizione originale dei modelli
+     */
+    stop: function() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+        this.loopWaitRemaining = 0;
+        
+        Object.values(this.restState).forEach(state => this.restoreState(state));
+        
+        // La camera torna alla vista dell'utente
+        if (this.cameraActive && this.cameraRest) {
+            Scene3D.setCameraView(this.cameraRest.position, this.cameraRest.target, this.cameraRest.fov);
+        }
+        this.cameraActive = false;
+        this.cameraBlend = null;
+        
+        this.notifyStateChange();
+        this.notifyTimeUpdate();
+    },
+    
+    /**
+     * Scarica la clip attiva (es. quando i modelli vengono rimossi dalla scena)
+     */
+    clear: function() {
+        this.isPlaying = false;
+        this.currentClip = null;
+        this.currentTime = 0;
+        this.loopWaitRemaining = 0;
+        this.bindings = {};
+        this.restState = {};
+        this.cameraTrack = null;
+        this.cameraRest = null;
+        this.cameraActive = false;
+        this.cameraBlend = null;
+        this.updateCameraLock();
+    },
+    
+    /**
+     * Imposta la velocità di riproduzione (1 = tempo reale)
+     */
+    setSpeed: function(speed) {
+        if (!(speed > 0)) {
+            AppConfig.log(1, `Velocità animazione non valida: ${speed}`);
+            return;
+        }
+        this.playbackSpeed = speed;
+    },
+    
+    /**
+     * Attiva/disattiva la ripetizione continua della clip
+     */
+    setLoop: function(enabled) {
+        this.loop = !!enabled;
+        if (!this.loop) {
+            this.loopWaitRemaining = 0;
+        }
+    },
+    
+    /**
+     * Avanza l'animazione - chiamata dal loop di rendering di Scene3D
+     * @param {number} deltaMs - Millisecondi trascorsi dall'ultimo frame
+     */
+    update: function(deltaMs) {
+        // La transizione della camera avanza in tempo reale, anche in pausa
+        if (this.cameraBlend) {
+            this.cameraBlend.elapsed += deltaMs;
+            if (!this.isPlaying) this.applyCamera(this.currentTime);
+        }
+        
+        if (!this.isPlaying || !this.currentClip) return;
+        
+        // In attesa tra due ripetizioni: la clip resta ferma sull'ultimo frame
+        if (this.loopWaitRemaining > 0) {
+            this.loopWaitRemaining -= deltaMs;
+            if (this.loopWaitRemaining <= 0) {
+                this.loopWaitRemaining = 0;
+                this.seek(0);
+            }
+            return;
+        }
+        
+        this.currentTime += deltaMs * this.playbackSpeed;
+        
+        if (this.currentTime >= this.currentClip.duration) {
+            this.currentTime = this.currentClip.duration;
+            this.apply(this.currentTime);
+            this.notifyTimeUpdate();
+            
+            if (this.loop) {
+                // Pausa configurata prima di ricominciare (minimo un frame)
+                this.loopWaitRemaining = Math.max(AppConfig.animations.scenario.loopDelay, 1);
+                return;
+            }
+            
+            this.isPlaying = false;
+            this.notifyStateChange();
+            
+            AppConfig.log(2, `Animazione ${this.currentClip.name} completata`);
+            if (this.callbacks.onComplete) this.callbacks.onComplete(this.currentClip);
+            return;
+        }
+        
+        this.apply(this.currentTime);
+        this.notifyTimeUpdate();
+    },
+    
+    /* ===== NAVIGAZIONE NEL TEMPO ===== */
+    
+    /**
+     * Porta la clip al tempo indicato senza cambiare lo stato play/pausa
+     * @param {number} time - Tempo in millisecondi
+     */
+    seek: function(time) {
+        if (!this.currentClip) return;
+        
+        this.currentTime = Math.max(0, Math.min(this.currentClip.duration, time));
+        this.loopWaitRemaining = 0;
+        this.activateCamera(false);
+        this.apply(this.currentTime);
+        this.notifyTimeUpdate();
+    },
+    
+    /**
+     * Restituisce i tempi (ordinati, senza duplicati) di tutti i keyframe della clip
+     */
+    getKeyframeTimes: function() {
+        if (!this.currentClip) return [];
+        
+        const times = new Set([0, this.currentClip.duration]);
+        Object.values(this.currentClip.tracks).forEach(track => {
+            this.trackProperties.forEach(property => {
+                track[property].forEach(keyframe => times.add(keyframe.time));
+            });
+        });
+        
+        return Array.from(times).sort((a, b) => a - b);
+    },
+    
+    /**
+     * Mette in pausa e salta al keyframe precedente o successivo
+     * @param {number} direction - -1 per il precedente, +1 per il successivo
+     */
+    stepKeyframe: function(direction) {
+        if (!this.currentClip) return;
+        
+        this.pause();
+        
+        const times = this.getKeyframeTimes();
+        const epsilon = 0.5; // Tolleranza in ms per considerare "sullo stesso keyframe"
+        
+        const target = direction < 0
+            ? times.filter(t => t < this.currentTime - epsilon).pop()
+            : times.find(t => t > this.currentTime + epsilon);
+        
+        if (target !== undefined) {
+            this.seek(target);
+        }
+    },
+    
+    /* ===== NOTIFICHE ===== */
+    
+    /**
+     * Notifica il tempo corrente a chi ascolta (es. timeline UI)
+     */
+    notifyTimeUpdate: function() {
+        if (this.callbacks.onTimeUpdate) {
+            this.callbacks.onTimeUpdate(this.currentTime, this.currentClip);
+        }
+    },
+    
+    /**
+     * Notifica il cambio di stato play/pausa
+     */
+    notifyStateChange: function() {
+        this.updateCameraLock();
+        
+        if (this.callbacks.onStateChange) {
+            this.callbacks.onStateChange(this.isPlaying);
+        }
+    },
+    
+    /**
+     * Applica ai modelli lo stato della clip al tempo indicato
+     */
+    apply: function(time) {
+        if (!this.currentClip) return;
+        
+        Object.keys(this.bindings).forEach(objectName => {
+            const model = this.bindings[objectName];
+            const state = this.restState[objectName];
+            const track = this.currentClip.tracks[objectName];
+            
+            if (track.position.length > 0) {
+                this.sampleVector(track.position, time, state.position, model.position);
+            }
+            if (track.rotation.length > 0) {
+                this.sampleRotation(track.rotation, time, state.rotation, model);
+            }
+            if (track.scale.length > 0) {
+                this.sampleVector(track.scale, time, state.scale, model.scale);
+            }
+            if (track.opacity.length > 0) {
+                this.applyOpacity(state, this.sampleNumber(track.opacity, time, state.opacityFactor));
+            }
+            if (track.visible.length > 0) {
+                model.visible = this.findSegment(track.visible, time, state.visible).from.value;
+            }
+        });
+        
+        this.applyCamera(time);
+    },
+    
+    /**
+     * Applica un fattore di opacità ai materiali del modello
+     * @param {Object} state - Stato salvato del modello
+     * @param {number} factor - Fattore 0..1 rispetto all'opacità del file modello
+     */
+    applyOpacity: function(state, factor) {
+        state.materials.forEach(entry => {
+            const base = entry.material.userData;
+            entry.material.opacity = base.baseOpacity * factor;
+            entry.material.transparent = base.baseTransparent || factor < 1;
+        });
+    },
+    
+    /* ===== CAMERA ===== */
+    
+    /**
+     * Fa guidare la camera alla clip, con transizione dalla vista corrente
+     * @param {boolean} restart - True per ripartire la transizione anche se già attiva
+     */
+    activateCamera: function(restart) {
+        if (!this.cameraTrack || (this.cameraActive && !restart)) return;
+        
+        this.cameraActive = true;
+        this.cameraBlend = { from: Scene3D.getCameraView(), elapsed: 0 };
+    },
+    
+    /**
+     * Applica i keyframe della camera al tempo indicato
+     * Nei primi AppConfig.animations.transitions.cameraMove ms la vista
+     * si sposta gradualmente da quella dell'utente a quella della clip
+     */
+    applyCamera: function(time) {
+        if (!this.cameraTrack || !this.cameraActive || this.cameraOverridden || !this.cameraSettings.follow) {
+            return;
+        }
+        
+        const track = this.cameraTrack;
+        const rest = this.cameraRest;
+        const position = rest.position.clone();
+        const target = rest.target.clone();
+        let fov = rest.fov;
+        
+        if (track.position.length > 0) {
+            this.sampleVector(track.position, time, rest.position, position);
+        }
+        if (track.target.length > 0) {
+            this.sampleVector(track.target, time, rest.target, target);
+        }
+        if (track.fov.length > 0) {
+            fov = this.sampleNumber(track.fov, time, rest.fov);
+        }
+        
+        const blend = this.cameraBlend;
+        if (blend) {
+            const duration = AppConfig.animations.transitions.cameraMove;
+            const alpha = duration > 0 ? Math.min(1, blend.elapsed / duration) : 1;
+            
+            if (alpha < 1) {
+                const eased = this.cubicBezier(this.easingPresets['ease-in-out'], alpha);
+                position.lerpVectors(blend.from.position, position, eased);
+                target.lerpVectors(blend.from.target, target, eased);
+                fov = THREE.MathUtils.lerp(blend.from.fov, fov, eased);
+            } else {
+                this.cameraBlend = null;
+            }
+        }
+        
+        Scene3D.setCameraView(position, target, fov);
+    },
+    
+    /**
+     * Chiamata da Scene3D quando l'utente muove la camera:
+     * l'animazione smette di guidarla fino al prossimo avvio
+     */
+    onUserCameraInput: function() {
+        if (!this.cameraTrack || !this.cameraActive || this.cameraOverridden || !this.cameraSettings.follow) {
+            return;
+        }
+        
+        this.cameraOverridden = true;
+        this.cameraBlend = null;
+        AppConfig.log(2, 'Camera animazione sospesa: controllo all\'utente fino al prossimo avvio');
+    },
+    
+    /**
+     * Attiva o disattiva i keyframe della camera (impostazione del trainee)
+     */
+    setCameraFollow: function(follow) {
+        this.cameraSettings.follow = !!follow;
+        
+        if (this.cameraSettings.follow && this.isPlaying) {
+            this.cameraOverridden = false;
+            this.activateCamera(true);
+        } else {
+            this.cameraBlend = null;
+        }
+    },
+    
+    /**
+     * Blocca o sblocca i controlli camera durante la riproduzione
+     */
+    setCameraLock: function(lock) {
+        this.cameraSettings.lock = !!lock;
+        this.updateCameraLock();
+    },
+    
+    /**
+     * Aggiorna il blocco dei controlli camera in Scene3D
+     */
+    updateCameraLock: function() {
+        if (window.Scene3D) {
+            Scene3D.cameraLocked = this.isPlaying && this.cameraSettings.lock;
+        }
+    },
+    
+    /* ===== INTERPOLAZIONE ===== */
+    
+    /**
+     * Trova i keyframe che racchiudono il tempo indicato
+     * Prima del primo keyframe si parte dal valore originale del modello
+     * (keyframe implicito al tempo 0), dopo l'ultimo il valore resta fermo
+     * @param {Array} keyframes - Keyframe ordinati { time, value }
+     * @param {number} time - Tempo in millisecondi
+     * @param {*} restValue - Valore originale della proprietà
+     * @returns {Object} { from, to, alpha } con alpha in 0..1
+     */
+    findSegment: function(keyframes, time, restValue) {
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        
+        if (time < first.time) {
+            const rest = { time: 0, value: restValue, easing: null };
+            return { from: rest, to: first, alpha: this.ease(rest.easing, time / first.time) };
+        }
+        if (time >= last.time) {
+            return { from: last, to: last, alpha: 0 };
+        }
+        
+        for (let i = 0; i < keyframes.length - 1; i++) {
+            const from = keyframes[i];
+            const to = keyframes[i + 1];
+            
+            if (time >= from.time && time < to.time) {
+                const span = to.time - from.time;
+                const alpha = span > 0 ? (time - from.time) / span : 1;
+                return { from, to, alpha: this.ease(from.easing, alpha) };
+            }
+        }
+        
+        return { from: last, to: last, alpha: 0 };
+    },
+    
+    /**
+     * Applica la curva di easing al progresso lineare del segmento
+     * @param {Object|null} easing - Curva del keyframe (null = default da AppConfig)
+     * @param {number} alpha - Progresso lineare 0..1
+     * @returns {number} Progresso con easing
+     */
+    ease: function(easing, alpha) {
+        if (!easing) {
+            const defaultEasing = AppConfig.animations.interpolation.defaultEasing;
+            easing = this.parseEasing(defaultEasing);
+            if (easing.error) {
+                // Configurazione errata: segnala una volta e ripiega sul lineare
+                AppConfig.log(1, `AppConfig.animations.interpolation: ${easing.error}, uso interpolazione lineare`);
+                easing = { type: 'bezier', points: this.easingPresets.linear };
+                this.easingCache[defaultEasing.trim().toLowerCase()] = easing;
+            }
+        }
+        
+        if (easing.type === 'step') {
+            return alpha < 1 ? 0 : 1;
+        }
+        
+        return this.cubicBezier(easing.points, alpha);
+    },
+    
+    /**
+     * Valuta una curva cubic-bezier(x1, y1, x2, y2) come in CSS:
+     * trova il parametro t per cui x(t) = alpha e restituisce y(t)
+     */
+    cubicBezier: function(points, alpha) {
+        const [x1, y1, x2, y2] = points;
+        if (x1 === y1 && x2 === y2) return alpha; // Retta: lineare
+        
+        const sample = (p1, p2, t) => ((1 - 3 * p2 + 3 * p1) * t + (3 * p2 - 6 * p1)) * t * t + 3 * p1 * t;
+        const slope = (p1, p2, t) => 3 * (1 - 3 * p2 + 3 * p1) * t * t + 2 * (3 * p2 - 6 * p1) * t + 3 * p1;
+        
+        // Newton-Raphson, con bisezione se la derivata è troppo piatta
+        let t = alpha;
+        for (let i = 0; i < 8; i++) {
+            const error = sample(x1, x2, t) - alpha;
+            if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+            const derivative = slope(x1, x2, t);
+            if (Math.abs(derivative) < 1e-6) break;
+            t -= error / derivative;
+        }
+        
+        let low = 0;
+        let high = 1;
+        t = alpha;
+        for (let i = 0; i < 30; i++) {
+            const x = sample(x1, x2, t);
+            if (Math.abs(x - alpha) < 1e-6) break;
+            if (x < alpha) low = t; else high = t;
+            t = (low + high) / 2;
+        }
+        
+        return sample(y1, y2, t);
+    },
+    
+    /**
+     * Interpola linearmente un vettore (posizione o scala)
+     * @param {THREE.Vector3} target - Vettore in cui scrivere il risultato
+     */
+    sampleVector: function(keyframes, time, restValue, target) {
+        const segment = this.findSegment(keyframes, time, restValue);
+        target.lerpVectors(segment.from.value, segment.to.value, segment.alpha);
+    },
+    
+    /**
+     * Interpola una rotazione: angoli di Eulero (consente più giri completi)
+     * oppure slerp tra quaternioni (percorso più breve)
+     * @param {THREE.Object3D} model - Modello da ruotare
+     */
+    sampleRotation: function(keyframes, time, restValue, model) {
+        const segment = this.findSegment(keyframes, time, restValue);
+        const mode = segment.from.rotationMode || AppConfig.animations.interpolation.rotation;
+        
+        if (mode === 'slerp' && segment.from !== segment.to) {
+            const fromQuaternion = segment.from.quaternion ||
+                new THREE.Quaternion().setFromEuler(segment.from.value);
+            model.quaternion.slerpQuaternions(fromQuaternion, segment.to.quaternion, segment.alpha);
+            return;
+        }
+        
+        const from = segment.from.value;
+        const to = segment.to.value;
+        const lerp = THREE.MathUtils.lerp;
+        const target = model.rotation;
+        
+        target.set(
+            lerp(from.x, to.x, segment.alpha),
+            lerp(from.y, to.y, segment.alpha),
+            lerp(from.z, to.z, segment.alpha)
+        );
+    },
+    
+    /**
+     * Interpola linearmente un valore numerico (opacità)
+     */
+    sampleNumber: function(keyframes, time, restValue) {
+        const segment = this.findSegment(keyframes, time, restValue);
+        return THREE.MathUtils.lerp(segment.from.value, segment.to.value, segment.alpha);
+    }
+};
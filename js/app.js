@@ -35,6 +35,14 @@ window.App = {
         'AppConfig',               // Configurazioni globali
         'Scene3D',                 // Gestione scena 3D
         'ModelLoader',             // Caricamento modelli
+        'ModelParsers',            // Parser OBJ/STL condivisi con i worker
+        'ParserPool',              // Worker per l'analisi dei modelli
+        'AssetCache',              // Cache persistente dei file degli scenari
+        'ScenarioPackage',         // Pacchetti scenario .zip
+        'Animator',                // Animazioni a keyframe
+        'Procedure',               // Procedure guidate a passi
+        'ClipPlayer',              // Clip glTF incorporate
+        'AnimationRecorder',       // Registrazione animazioni
         'UI'                       // Interfaccia utente
     ],
     
@@ -192,10 +200,18 @@ window.App = {
         
         try {
             // Carica i moduli in sequenza
-            await this.loadModule('./js/config.js?nocache=999999');
-            await this.loadModule('./js/scene3d.js?nocache=1000007');  
-            await this.loadModule('./js/modelloader.js?nocache=1000005');
-            await this.loadModule('./js/ui.js?nocache=1000006');
+            await this.loadModule('./js/config.js?nocache=1000017');
+            await this.loadModule('./js/scene3d.js?nocache=1000016');  
+            await this.loadModule('./js/parsers.js?nocache=1000017');
+            await this.loadModule('./js/parserpool.js?nocache=1000017');
+            await this.loadModule('./js/assetcache.js?nocache=1000017');
+            await this.loadModule('./js/scenariopackage.js?nocache=1000016');
+            await this.loadModule('./js/modelloader.js?nocache=1000017');
+            await this.loadModule('./js/animator.js?nocache=1000016');
+            await this.loadModule('./js/procedure.js?nocache=1000016');
+            await this.loadModule('./js/clipplayer.js?nocache=1000016');
+            await this.loadModule('./js/animationrecorder.js?nocache=1000016');
+            await this.loadModule('./js/ui.js?nocache=1000017');
             
             console.log('✅ Tutti i moduli caricati');
         } catch (error) {
@@ -272,12 +288,21 @@ window.App = {
                 () => Promise.resolve(),
                 
                 // 2. ModelLoader (non dipende dalla scena)
+                () => this.initializeModule('ParserPool'),
+                () => this.initializeModule('AssetCache'),
+                () => this.initializeModule('ScenarioPackage'),
                 () => this.initializeModule('ModelLoader'),
                 
-                // 3. UI (deve essere pronto prima della scena per feedback)
+                // 3. Animator (lavora sui modelli della scena, non la richiede all'avvio)
+                () => this.initializeModule('Animator'),
+                () => this.initializeModule('Procedure'),
+                () => this.initializeModule('ClipPlayer'),
+                () => this.initializeModule('AnimationRecorder'),
+                
+                // 4. UI (deve essere pronto prima della scena per feedback)
                 () => this.initializeModule('UI'),
                 
-                // 4. Scene3D (ultimo perché potrebbe richiedere feedback UI)
+                // 5. Scene3D (ultimo perché potrebbe richiedere feedback UI)
                 // Nota: La scena verrà inizializzata quando si passa alla pagina scenario
             ];
             
@@ -0,0 +1,286 @@
+/**
+ * ASSETCACHE.JS - Cache persistente dei file degli scenari
+ *
+ * Questo modulo gestisce:
+ * - Copia in IndexedDB dei file scaricati (modelli, materiali, texture, buffer)
+ * - Validazione con ETag/Last-Modified, o con l'hash del contenuto se il server non li invia
+ * - Limite di spazio con eliminazione dei file usati meno di recente (LRU)
+ * - Versione della cache: cambiandola in AppConfig i file salvati vengono scartati
+ * - Spazio occupato e svuotamento comprendono la copia del service worker (sw.js)
+ */
+
+window.AssetCache = {
+    
+    /* ===== STATO CACHE ===== */
+    db: null,                      // Database IndexedDB aperto
+    ready: null,                   // Promise dell'apertura (risolta con true se la cache è utilizzabile)
+    dbName: 'campusvt-assets',     // Nome del database
+    offlineCacheName: 'campusvt-scenarios',  // Cache dei file degli scenari del service worker (SCENARIO_CACHE)
+    
+    /**
+     * Inizializza la cache
+     * Il database viene aperto in background: l'avvio dell'app non lo attende
+     */
+    init: function() {
+        const config = AppConfig.files.cache;
+        
+        if (!config.enabled || typeof indexedDB === 'undefined') {
+            this.ready = Promise.resolve(false);
+            AppConfig.log(2, 'AssetCache inizializzato (cache disattivata)');
+            return;
+        }
+        
+        this.ready = this.open(config.version)
+            .then(db => {
+                this.db = db;
+                AppConfig.log(2, `AssetCache inizializzato (versione ${config.version}, massimo ${config.maxSize}MB)`);
+                return true;
+            })
+            .catch(error => {
+                AppConfig.log(1, `AssetCache non disponibile: ${error.message || error}`);
+                return false;
+            });
+        
+        // Senza questa richiesta il browser può svuotare la cache quando serve spazio
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+    },
+    
+    /**
+     * Apre il database; una nuova versione ricrea gli archivi vuoti
+     * "entries" contiene i dati dei file (piccoli, aggiornati ad ogni uso), "files" i contenuti
+     */
+    open: function(version) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+                
+                db.createObjectStore('entries', { keyPath: 'url' }).createIndex('lastUsed', 'lastUsed');
+                db.createObjectStore('files');
+                AppConfig.log(2, `AssetCache: nuova versione ${version}, file precedenti scartati`);
+            };
+            
+            request.onblocked = () => AppConfig.log(1, 'AssetCache: versione precedente aperta in un\'altra scheda');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    /* ===== LETTURA E SCRITTURA ===== */
+    
+    /**
+     * Cerca un file in cache
+     * @param {string} url - Percorso del file
+     * @returns {Promise} Risolta con { url, etag, lastModified, hash, size, type, blob } o null
+     */
+    get: function(url) {
+        return this.ready.then(available => {
+            if (!available) return null;
+            
+            const transaction = this.db.transaction(['entries', 'files'], 'readonly');
+            return Promise.all([
+                this.request(transaction.objectStore('entries').get(url)),
+                this.request(transaction.objectStore('files').get(url))
+            ]).then(([entry, blob]) => (entry && blob ? Object.assign({}, entry, { blob: blob }) : null));
+        }).catch(error => {
+            AppConfig.log(1, `AssetCache: lettura ${url} non riuscita: ${error.message || error}`);
+            return null;
+        });
+    },
+    
+    /**
+     * Salva un file scaricato, poi elimina i meno usati se si supera il limite
+     * Un contenuto identico a quello salvato (stesso hash) aggiorna solo i dati di validazione
+     * @param {string} url - Percorso del file
+     * @param {Blob} blob - Contenuto
+     * @param {Object} validators - { etag, lastModified } dalla risposta del server
+     * @returns {Promise} Risolta al termine (gli errori vengono solo registrati nel log)
+     */
+    put: function(url, blob, validators) {
+        const maxSize = AppConfig.files.cache.maxSize * 1024 * 1024;
+        
+        return this.ready.then(available => {
+            if (!available) return;
+            
+            if (blob.size > maxSize) {
+                AppConfig.log(1, `AssetCache: ${url} troppo grande per la cache (${(blob.size / (1024 * 1024)).toFixed(1)}MB)`);
+                return;
+            }
+            
+            return Promise.all([this.hashBlob(blob), this.get(url)]).then(([hash, cached]) => {
+                const entry = {
+                    url: url,
+                    etag: validators.etag || '',
+                    lastModified: validators.lastModified || '',
+                    hash: hash,
+                    size: blob.size,
+                    type: blob.type,
+                    lastUsed: Date.now()
+                };
+                
+                const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+                transaction.objectStore('entries').put(entry);
+                if (!cached || !hash || cached.hash !== hash) {
+                    transaction.objectStore('files').put(blob, url);
+                }
+                return this.complete(transaction);
+            }).then(() => this.evict(maxSize));
+        }).catch(error => {
+            // Es. spazio esaurito: il file resta utilizzabile, solo non verrà ritrovato
+            AppConfig.log(1, `AssetCache: salvataggio ${url} non riuscito: ${error.message || error}`);
+        });
+    },
+    
+    /**
+     * Segna un file come appena usato (per l'ordine LRU)
+     */
+    touch: function(url) {
+        return this.ready.then(available => {
+            if (!available) return;
+            
+            const transaction = this.db.transaction('entries', 'readwrite');
+            const store = transaction.objectStore('entries');
+            return this.request(store.get(url)).then(entry => {
+                if (!entry) return;
+                entry.lastUsed = Date.now();
+                store.put(entry);
+                return this.complete(transaction);
+            });
+        }).catch(error => {
+            AppConfig.log(3, `AssetCache: aggiornamento ${url} non riuscito: ${error.message || error}`);
+        });
+    },
+    
+    /**
+     * Elimina i file usati meno di recente finché la cache non rientra nel limite
+     * @param {number} maxSize - Dimensione massima in byte
+     */
+    evict: function(maxSize) {
+        return this.listEntries().then(entries => {
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            if (total <= maxSize) return;
+            
+            const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+            for (const entry of entries) {
+                if (total <= maxSize) break;
+                
+                transaction.objectStore('entries').delete(entry.url);
+                transaction.objectStore('files').delete(entry.url);
+                total -= entry.size;
+                AppConfig.log(3, `AssetCache: eliminato ${entry.url} (usato il ${new Date(entry.lastUsed).toLocaleString()})`);
+            }
+            return this.complete(transaction);
+        });
+    },
+    
+    /* ===== GESTIONE ===== */
+    
+    /**
+     * Spazio occupato dalla cache
+     * @returns {Promise} Risolta con { available, files, size, maxSize, offline: { files, size } }
+     *                    (dimensioni in byte; offline è la copia del service worker)
+     */
+    getUsage: function() {
+        const maxSize = AppConfig.files.cache.maxSize * 1024 * 1024;
+        
+        const local = this.ready.then(available => {
+            if (!available) return { available: false, files: 0, size: 0, maxSize: maxSize };
+            
+            return this.listEntries().then(entries => ({
+                available: true,
+                files: entries.length,
+                size: entries.reduce((sum, entry) => sum + entry.size, 0),
+                maxSize: maxSize
+            }));
+        });
+        
+        return Promise.all([local, this.getOfflineUsage()])
+            .then(([usage, offline]) => Object.assign(usage, { offline: offline }));
+    },
+    
+    /**
+     * Spazio occupato dai file degli scenari salvati dal service worker
+     * @returns {Promise} Risolta con { files, size }
+     */
+    getOfflineUsage: function() {
+        if (typeof caches === 'undefined') return Promise.resolve({ files: 0, size: 0 });
+        
+        return caches.has(this.offlineCacheName).then(exists => {
+            if (!exists) return { files: 0, size: 0 };
+            
+            return caches.open(this.offlineCacheName)
+                .then(cache => cache.keys().then(requests => Promise.all(requests.map(request => cache.match(request)))))
+                .then(responses => ({
+                    files: responses.length,
+                    size: responses.reduce((sum, response) => sum + (response ? Number(response.headers.get('X-Campusvt-Size')) || 0 : 0), 0)
+                }));
+        }).catch(() => ({ files: 0, size: 0 }));
+    },
+    
+    /**
+     * Svuota la cache, compresa la copia del service worker
+     * (l'applicazione resta disponibile senza rete, i file degli scenari no)
+     */
+    clear: function() {
+        const offline = typeof caches === 'undefined' ? Promise.resolve() : caches.delete(this.offlineCacheName);
+        
+        return Promise.all([this.ready, offline]).then(([available]) => {
+            if (!available) return;
+            
+            const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+            transaction.objectStore('entries').clear();
+            transaction.objectStore('files').clear();
+            return this.complete(transaction).then(() => {
+                AppConfig.log(2, 'AssetCache svuotata');
+            });
+        });
+    },
+    
+    /* ===== FUNZIONI DI SUPPORTO ===== */
+    
+    /**
+     * Dati di tutti i file, dal meno usato di recente
+     */
+    listEntries: function() {
+        const index = this.db.transaction('entries', 'readonly').objectStore('entries').index('lastUsed');
+        return this.request(index.getAll());
+    },
+    
+    /**
+     * Hash SHA-256 del contenuto ('' se crypto.subtle non è disponibile, es. pagina non https)
+     */
+    hashBlob: function(blob) {
+        if (!window.crypto || !crypto.subtle) {
+            return Promise.resolve('');
+        }
+        
+        return blob.arrayBuffer()
+            .then(buffer => crypto.subtle.digest('SHA-256', buffer))
+            .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join(''));
+    },
+    
+    /**
+     * Converte una richiesta IndexedDB in Promise
+     */
+    request: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    /**
+     * Promise risolta al termine di una transazione IndexedDB
+     */
+    complete: function(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('transazione annullata'));
+        });
+    }
+};
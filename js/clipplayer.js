@@ -0,0 +1,232 @@
+/**
+ * CLIPPLAYER.JS - Riproduzione delle clip glTF incorporate nei modelli
+ *
+ * Questo modulo gestisce:
+ * - Elenco delle clip disponibili nei modelli caricati
+ * - Riproduzione, loop e dissolvenza incrociata tra clip
+ * - Stato finale delle clip usate come passi della procedura
+ *
+ * I mixer vengono creati da Scene3D.addModel e aggiornati dal loop di rendering
+ */
+
+window.ClipPlayer = {
+    
+    /* ===== STATO RIPRODUZIONE ===== */
+    activeAction: null,            // Azione in riproduzione (THREE.AnimationAction)
+    activeClipId: null,            // Identificativo "modello:clip" dell'azione attiva
+    loop: true,                    // Ripeti la clip attiva
+    
+    /* ===== CALLBACK ===== */
+    callbacks: {
+        onStateChange: null        // Chiamata quando la riproduzione parte, termina o si ferma
+    },
+    
+    /**
+     * Inizializza il modulo clip
+     */
+    init: function() {
+        const config = AppConfig.animations.clips;
+        this.loop = config ? config.loop !== false : true;
+        AppConfig.log(2, 'ClipPlayer inizializzato');
+    },
+    
+    /* ===== ELENCO CLIP ===== */
+    
+    /**
+     * Restituisce tutte le clip dei modelli in scena
+     * @returns {Array} Voci { id, name, modelName, duration, model, mixer, clip }
+     */
+    getClips: function() {
+        const clips = [];
+        
+        Scene3D.mixers.forEach(entry => {
+            entry.model.animations.forEach(clip => {
+                clips.push({
+                    id: `${entry.model.name}:${clip.name}`,
+                    name: clip.name,
+                    modelName: entry.model.name,
+                    duration: clip.duration,
+                    model: entry.model,
+                    mixer: entry.mixer,
+                    clip: clip
+                });
+            });
+        });
+        
+        return clips;
+    },
+    
+    /**
+     * Cerca una clip per nome, eventualmente preceduto dal modello (modello.glb:NomeClip)
+     */
+    findClip: function(reference) {
+        const clips = this.getClips();
+        
+        const exact = clips.find(entry => entry.id === reference);
+        if (exact) return exact;
+        
+        // Prefisso modello senza estensione o con maiuscole diverse
+        const separator = reference.indexOf(':');
+        if (separator > 0) {
+            const model = Animator.findModel(reference.substring(0, separator));
+            const name = reference.substring(separator + 1);
+            if (model) {
+                return clips.find(entry => entry.modelName === model.name && entry.name === name) || null;
+            }
+        }
+        
+        return clips.find(entry => entry.name === reference) || null;
+    },
+    
+    /* ===== RIPRODUZIONE ===== */
+    
+    /**
+     * Avvia una clip, con dissolvenza dalle altre clip dello stesso modello
+     * @param {string} reference - Nome o identificativo della clip
+     * @param {Object} options - { loop, fade } (default: loop corrente, fade attivo)
+     * @returns {boolean} True se la clip è stata trovata
+     */
+    play: function(reference, options = {}) {
+        const entry = this.findClip(reference);
+        if (!entry) {
+            AppConfig.log(1, `Clip "${reference}" non trovata nei modelli caricati`);
+            return false;
+        }
+        
+        const loop = options.loop !== undefined ? options.loop : this.loop;
+        const fade = options.fade !== false ? this.getCrossFadeSeconds() : 0;
+        const action = entry.mixer.clipAction(entry.clip);
+        
+        // Le azioni già attive sullo stesso mixer sfumano verso la nuova clip
+        const previous = this.getRunningActions(entry).filter(other => other !== action);
+        
+        action.reset();
+        this.applyLoop(action, loop);
+        action.play();
+        
+        if (fade > 0 && previous.length > 0) {
+            action.fadeIn(fade);
+            previous.forEach(other => other.fadeOut(fade));
+        } else {
+            previous.forEach(other => other.stop());
+        }
+        
+        this.activeAction = action;
+        this.activeClipId = entry.id;
+        
+        AppConfig.log(2, `Clip avviata: ${entry.id}${loop ? ' (loop)' : ''}`);
+        this.notifyStateChange();
+        return true;
+    },
+    
+    /**
+     * Passa a un'altra clip con dissolvenza incrociata
+     */
+    crossFadeTo: function(reference) {
+        return this.play(reference, { fade: true });
+    },
+    
+    /**
+     * Porta una clip al suo ultimo fotogramma e ve la mantiene
+     * Usata per ricostruire lo stato dei passi già completati
+     */
+    applyEnd: function(reference) {
+        const entry = this.findClip(reference);
+        if (!entry) return false;
+        
+        this.getRunningActions(entry).forEach(other => other.stop());
+        
+        const action = entry.mixer.clipAction(entry.clip);
+        action.reset();
+        this.applyLoop(action, false);
+        action.play();
+        action.time = entry.clip.duration;
+        entry.mixer.update(0);
+        return true;
+    },
+    
+    /**
+     * Ferma tutte le clip, riportando i modelli alla posa originale
+     */
+    stop: function() {
+        Scene3D.mixers.forEach(entry => entry.mixer.stopAllAction());
+        
+        const wasActive = this.activeAction !== null;
+        this.activeAction = null;
+        this.activeClipId = null;
+        
+        if (wasActive) {
+            this.notifyStateChange();
+        }
+    },
+    
+    /**
+     * Dimentica la clip attiva senza toccare i mixer (usata quando i modelli vengono rimossi)
+     */
+    clear: function() {
+        this.activeAction = null;
+        this.activeClipId = null;
+    },
+    
+    /**
+     * Attiva o disattiva la ripetizione della clip attiva
+     */
+    setLoop: function(loop) {
+        this.loop = loop;
+        if (this.activeAction) {
+            this.applyLoop(this.activeAction, loop);
+        }
+    },
+    
+    /**
+     * Indica se una clip è in riproduzione
+     */
+    isPlaying: function() {
+        return !!this.activeAction && this.activeAction.isRunning();
+    },
+    
+    /* ===== FUNZIONI DI SUPPORTO ===== */
+    
+    /**
+     * Imposta ripetizione e blocco sull'ultimo fotogramma di un'azione
+     */
+    applyLoop: function(action, loop) {
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !loop;
+    },
+    
+    /**
+     * Azioni attive (anche ferme sull'ultimo fotogramma) sul mixer di una clip
+     */
+    getRunningActions: function(entry) {
+        return entry.model.animations
+            .map(clip => entry.mixer.existingAction(clip))
+            .filter(action => action && action.isScheduled());
+    },
+    
+    /**
+     * Durata della dissolvenza incrociata in secondi (da AppConfig, in millisecondi)
+     */
+    getCrossFadeSeconds: function() {
+        const config = AppConfig.animations.clips;
+        return config && config.crossFade > 0 ? config.crossFade / 1000 : 0;
+    },
+    
+    /**
+     * Chiamata da Scene3D quando una clip non in loop arriva alla fine
+     */
+    onFinished: function(event) {
+        if (event.action === this.activeAction) {
+            this.notifyStateChange();
+        }
+    },
+    
+    /**
+     * Notifica il cambio di stato della riproduzione
+     */
+    notifyStateChange: function() {
+        if (this.callbacks.onStateChange) {
+            this.callbacks.onStateChange(this.isPlaying(), this.activeClipId);
+        }
+    }
+};
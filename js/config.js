@@ -3,7 +3,6 @@
  * 
  * Questo modulo contiene:
  * - Configurazioni globali dell'applicazione
- * - URL di risorse esterne
  * - Impostazioni di default per la scena 3D
  * - Costanti per animazioni e controlli
  */
@@ -14,6 +13,9 @@ window.AppConfig = {
     
     /* ===== CONFIGURAZIONI 3D ===== */
     scene3D: {
+        // Unità di misura della scena: i modelli vengono convertiti in questa unità (vedi files.units)
+        unit: 'm',
+        
         // Impostazioni camera
         camera: {
             fov: 75,                    // Campo visivo della camera in gradi
@@ -68,17 +70,17 @@ window.AppConfig = {
             zoom: 0.1                   // Sensibilità zoom
         },
         
-        // Limiti di movimento
+        // Limiti di movimento (distanze in multipli della dimensione della scena, il lato maggiore dei modelli)
         limits: {
-            minZoom: 0.1,               // Zoom minimo
-            maxZoom: 100,               // Zoom massimo
-            maxPolarAngle: Math.PI      // Angolo massimo verticale
+            minZoom: 0.1,               // Distanza minima dal centro di rotazione, in multipli della dimensione della scena
+            maxZoom: 100,               // Distanza massima dal centro di rotazione, in multipli della dimensione della scena
+            maxPolarAngle: Math.PI      // Angolo massimo verticale (0 = dall'alto, Math.PI = dal basso)
         },
         
-        // Inerzia e smorzamento
+        // Inerzia e smorzamento di rotazione, pan e zoom
         damping: {
             enabled: true,              // Abilita smorzamento movimento
-            factor: 0.05                // Fattore di smorzamento (più basso = più fluido)
+            factor: 0.05                // Quota del movimento applicata a ogni frame (più basso = più fluido)
         }
     },
     
@@ -96,7 +98,26 @@ window.AppConfig = {
         scenario: {
             defaultDuration: 5000,      // Durata default animazione (5 secondi)
             stepDelay: 100,             // Ritardo tra passi animazione
-            loopDelay: 2000             // Pausa tra loop animazione
+            loopDelay: 2000,            // Pausa tra loop animazione
+            playbackSpeeds: [0.25, 0.5, 1, 1.5, 2] // Velocità selezionabili nella timeline
+        },
+        
+        // Keyframe della camera nei file animazione (oggetto "camera")
+        camera: {
+            follow: true,               // La camera segue l'animazione (false = vista libera)
+            lockDuringPlayback: false   // Blocca i controlli camera durante la riproduzione
+        },
+        
+        // Clip glTF incorporate nei modelli
+        clips: {
+            crossFade: 500,             // Dissolvenza incrociata tra clip (ms)
+            loop: true                  // Ripeti la clip selezionata
+        },
+        
+        // Interpolazione di default tra keyframe (sovrascrivibile con ease= e rotinterp=)
+        interpolation: {
+            defaultEasing: 'ease-in-out', // step, linear, ease-in, ease-out, ease-in-out, bezier:x1:y1:x2:y2
+            rotation: 'euler'           // euler (ammette più giri) oppure slerp (percorso più breve)
         }
     },
     
@@ -106,6 +127,7 @@ window.AppConfig = {
         supportedFormats: {
             models: ['.obj', '.stl', '.gltf', '.glb'],
             materials: ['.mtl'],
+            buffers: ['.bin'],              // Dati binari esterni dei .gltf
             textures: ['.jpg', '.jpeg', '.png', '.bmp', '.tga'],
             animations: ['.txt', '.csv'],
             configs: ['.txt', '.cfg']
@@ -119,27 +141,49 @@ window.AppConfig = {
             config: 1                   // 1MB per file configurazione
         },
         
+        // Unità di misura ammesse per i modelli (metri per unità)
+        units: {
+            mm: 0.001,
+            cm: 0.01,
+            m: 1,
+            in: 0.0254
+        },
+        
+        // Coordinate dei modelli (sovrascrivibili per scenario o per modello in home_config.txt)
+        models: {
+            center: false,              // true = centra ogni geometria sull'origine (perde l'origine del CAD)
+            units: 'm',                 // Unità in cui sono stati esportati i file (una chiave di files.units)
+            up: 'Y'                     // Asse verticale dei file: 'Y' oppure 'Z' (tipico di CAD e STL)
+        },
+        
+        // Parsing dei file grandi (parser integrati)
+        parsing: {
+            sliceTime: 12               // Millisecondi di lavoro continuo prima di lasciare spazio alla UI
+        },
+        
+        // Analisi dei modelli in Web Worker (OBJ, STL e decodifica di glTF/GLB)
+        workers: {
+            enabled: true,              // Se false l'analisi avviene nel thread principale
+            poolSize: 0                 // Numero massimo di worker (0 = in base ai core del dispositivo)
+        },
+        
+        // Download dei file degli scenari (il tempo massimo è ui.timeouts.fileLoad)
+        download: {
+            retries: 2,                 // Nuovi tentativi dopo errori temporanei (rete, timeout, HTTP 5xx)
+            retryDelay: 1000            // Attesa prima del primo nuovo tentativo, raddoppia ad ogni tentativo (ms)
+        },
+        
+        // Copia persistente dei file scaricati (IndexedDB)
+        cache: {
+            enabled: true,              // Se false ogni apertura scarica di nuovo tutti i file
+            version: 1,                 // Aumentare per scartare i file salvati dalle versioni precedenti
+            maxSize: 300                // Spazio massimo in MB, oltre si eliminano i file usati meno di recente
+        },
+        
         // Encoding di default
         encoding: 'utf-8'
     },
     
-    /* ===== URL E RISORSE ESTERNE ===== */
-    external: {
-        // URL Three.js (possibili CDN di fallback)
-        threejs: [
-            'https://unpkg.com/three@0.155.0/build/three.min.js',
-            'https://cdn.jsdelivr.net/npm/three@0.155.0/build/three.min.js',
-            'https://cdnjs.cloudflare.com/ajax/libs/three.js/r155/three.min.js'
-        ],
-        
-        // Loader aggiuntivi se necessari
-        loaders: {
-            obj: 'https://unpkg.com/three@0.155.0/examples/js/loaders/OBJLoader.js',
-            mtl: 'https://unpkg.com/three@0.155.0/examples/js/loaders/MTLLoader.js',
-            gltf: 'https://unpkg.com/three@0.155.0/examples/js/loaders/GLTFLoader.js'
-        }
-    },
-    
     /* ===== CONFIGURAZIONI UI ===== */
     ui: {
         // Messaggi di stato per l'utente
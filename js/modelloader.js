@@ -16,6 +16,12 @@ window.ModelLoader = {
     materialCache: {},             // Cache per materiali
     loadingQueue: [],              // Coda di caricamento
     isLoading: false,              // Stato caricamento attivo
+    loadId: 0,                     // Caricamento corrente: i risultati dei precedenti vengono ignorati
+    sourcePaths: new WeakMap(),    // File -> URL di origine (per le risorse esterne degli scenari)
+    localPaths: new WeakMap(),     // File -> percorso nella cartella trascinata (es. "pompa/texture/legno.jpg")
+    modelOptions: new WeakMap(),   // File -> opzioni del modello, da scenario o modalità manuale (es. { units: 'mm', up: 'Z' })
+    missingResources: [],          // Materiali e texture citati dai modelli ma non trovati
+    failedModels: [],              // Modelli non caricati { file, line, reason, severity }
     
     /* ===== LOADER THREE.JS ===== */
     loaders: {
@@ -43,7 +49,7 @@ window.ModelLoader = {
             // per non caricare librerie non utilizzate
             
             AppConfig.log(2, 'ModelLoader inizializzato');
-            
+        
         } catch (error) {
             AppConfig.log(0, 'Errore inizializzazione ModelLoader:', error);
             throw error;
@@ -68,8 +74,11 @@ window.ModelLoader = {
         AppConfig.log(2, `Inizio caricamento di ${files.length} file(s)`);
         
         // Reset stato
+        this.loadId++;
         this.isLoading = true;
         this.loadingQueue = [];
+        this.missingResources = [];
+        this.failedModels = [];
         
         // Organizza i file per tipo
         const fileGroups = this.organizeFiles(files);
@@ -86,6 +95,20 @@ window.ModelLoader = {
         this.processFileGroups(fileGroups, onProgress, onComplete, onError);
     },
     
+    /**
+     * Annulla il caricamento in corso: le analisi nei worker vengono interrotte
+     * e i callback di loadFiles non vengono più chiamati
+     */
+    cancel: function() {
+        if (!this.isLoading) return;
+        
+        this.loadId++;
+        this.isLoading = false;
+        if (window.ParserPool) ParserPool.cancel();
+        
+        AppConfig.log(2, 'Caricamento modelli annullato');
+    },
+    
     /**
      * Organizza i file per tipo e associazioni
      */
@@ -94,6 +117,7 @@ window.ModelLoader = {
             models: [],        // File modello principale
             materials: [],     // File materiali (MTL)
             textures: [],      // File texture
+            buffers: [],       // Buffer binari esterni (.bin dei .gltf)
             animations: []     // File animazioni
         };
         
@@ -108,6 +132,8 @@ window.ModelLoader = {
                 groups.materials.push(file);
             } else if (AppConfig.files.supportedFormats.textures.includes(extension)) {
                 groups.textures.push(file);
+            } else if (AppConfig.files.supportedFormats.buffers.includes(extension)) {
+                groups.buffers.push(file);
             } else if (AppConfig.files.supportedFormats.animations.includes(extension)) {
                 groups.animations.push(file);
             }
@@ -117,7 +143,8 @@ window.ModelLoader = {
         console.log('📁 File organizzati:', {
             modelli: groups.models.map(f => f.name),
             materiali: groups.materials.map(f => f.name),
-            texture: groups.textures.map(f => f.name)
+            texture: groups.textures.map(f => f.name),
+            buffer: groups.buffers.map(f => f.name)
         });
         return groups;
     },
@@ -136,7 +163,7 @@ window.ModelLoader = {
         }
         
         // Verifica dimensioni file
-        const allFiles = [...groups.models, ...groups.materials, ...groups.textures];
+        const allFiles = [...groups.models, ...groups.materials, ...groups.textures, ...groups.buffers];
         for (const file of allFiles) {
             const sizeMB = file.size / (1024 * 1024);
             const extension = this.getFileExtension(file.name).toLowerCase();
@@ -159,73 +186,112 @@ window.ModelLoader = {
     },
     
     /**
-     * Processa i gruppi di file in sequenza
+     * Processa i gruppi di file
+     * I modelli vengono analizzati in parallelo dal pool di worker; l'ordine dei risultati
+     * resta quello dei file. Un modello che non si carica finisce in failedModels e gli altri
+     * proseguono: onError arriva solo se non se ne carica nessuno
      */
     processFileGroups: function(groups, onProgress, onComplete, onError) {
+        const loadId = this.loadId;
         const totalSteps = groups.models.length;
-        let currentStep = 0;
-        const loadedModels = [];
-        
-        // Carica ogni modello con i suoi file associati
-        const loadNextModel = () => {
-            if (currentStep >= groups.models.length) {
-                // Tutti i modelli caricati
-                this.isLoading = false;
-                if (onComplete) onComplete(loadedModels);
-                return;
-            }
-            
-            const modelFile = groups.models[currentStep];
-            const baseName = this.getBaseName(modelFile.name);
-            
-            // Trova file associati con nome simile
-            const associatedMaterial = groups.materials.find(f => 
-                this.getBaseName(f.name) === baseName);
-            const associatedTextures = groups.textures.filter(f => 
-                this.getBaseName(f.name) === baseName);
+        const loadedModels = new Array(totalSteps);
+        let completedSteps = 0;
+        
+        // Materiali, texture e buffer vengono cercati per nome tra tutti i file selezionati
+        const resources = {
+            materials: groups.materials,
+            textures: groups.textures,
+            buffers: groups.buffers
+        };
+        
+        if (onProgress) {
+            onProgress(`Caricamento ${totalSteps} modelli...`, 0);
+        }
+        
+        // Chiamata una volta per modello, caricato o meno
+        const onModelDone = (message) => {
+            completedSteps++;
             
             // Aggiorna progresso
             if (onProgress) {
-                onProgress(`Caricamento ${modelFile.name}...`, currentStep / totalSteps);
+                onProgress(message, completedSteps / totalSteps);
+            }
+            
+            if (completedSteps < totalSteps) return;
+            this.isLoading = false;
+            
+            const models = loadedModels.filter(model => model);
+            if (models.length > 0) {
+                if (onComplete) onComplete(models);
+            } else if (onError) {
+                onError(this.failedModels.length === 1 ? this.failedModels[0].reason : `nessuno dei ${totalSteps} modelli è stato caricato`);
             }
+        };
+        
+        groups.models.forEach((modelFile, index) => {
+            let settled = false;
             
-            // Carica il modello
             this.loadSingleModel(
-                modelFile, 
-                associatedMaterial, 
-                associatedTextures,
+                modelFile,
+                resources,
                 (model) => {
-                    loadedModels.push(model);
-                    currentStep++;
-                    setTimeout(loadNextModel, 100); // Piccola pausa per UI responsiva
+                    if (settled || loadId !== this.loadId) return;
+                    settled = true;
+                    
+                    loadedModels[index] = model;
+                    onModelDone(`Caricato ${modelFile.name}`);
                 },
-                onError
+                (error) => {
+                    if (settled || loadId !== this.loadId) return;
+                    settled = true;
+                    
+                    const reason = error && error.message ? error.message : String(error);
+                    this.failedModels.push({ file: modelFile.name, line: 0, reason: reason, severity: 'error' });
+                    AppConfig.log(1, `Modello ${modelFile.name} non caricato: ${reason}`);
+                    onModelDone(`Errore ${modelFile.name}`);
+                }
             );
-        };
-        
-        loadNextModel();
+        });
     },
     
     /* ===== CARICAMENTO SINGOLO MODELLO ===== */
     
     /**
      * Carica un singolo modello con materiali e texture associate
+     * @param {File} modelFile - File del modello
+     * @param {Object} resources - File della selezione { materials, textures, buffers }
      */
-    loadSingleModel: function(modelFile, materialFile, textureFiles, onSuccess, onError) {
+    loadSingleModel: function(modelFile, resources, onSuccess, onError) {
         const extension = this.getFileExtension(modelFile.name).toLowerCase();
+        const options = this.getModelOptions(modelFile);
         
         AppConfig.log(3, `Caricamento modello ${modelFile.name} (${extension})`);
         
+        // Di default restano le coordinate del file, così i pezzi esportati nello stesso
+        // sistema di riferimento si montano senza position=; center=true ripristina la centratura
+        const onModel = (model) => {
+            if (options.center && !this.isGLTFFile(modelFile)) this.centerGeometries(model);
+            this.normalizeUnits(model, options);
+            
+            if (options.position) {
+                model.position.set(options.position.x, options.position.y, options.position.z);
+                AppConfig.log(3, `📍 ${modelFile.name} in (${options.position.x}, ${options.position.y}, ${options.position.z})`);
+            }
+            onSuccess(model);
+        };
+        
         switch (extension) {
             case '.obj':
-                this.loadOBJModel(modelFile, materialFile, textureFiles, onSuccess, onError);
+                this.loadOBJModel(modelFile, resources, onModel, onError);
                 break;
             case '.stl':
-                this.loadSTLModel(modelFile, onSuccess, onError);
+                this.loadSTLModel(modelFile, onModel, onError);
                 break;
             case '.gltf':
             case '.glb':
-                this.loadGLTFModel(modelFile, onSuccess, onError);
+                // Un .gltf indica buffer e texture per nome; i suoi nodi sono già posizionati
+                // tra loro, e centrare le geometrie li separerebbe
+                this.loadGLTFModel(modelFile, [...resources.buffers, ...resources.textures], onModel, onError);
                 break;
             default:
                 onError(`Formato file non supportato: ${extension}`);
@@ -233,11 +299,34 @@ window.ModelLoader = {
     },
     
     /**
-     * Carica modello OBJ (con eventuale MTL)
+     * Carica modello OBJ (con eventuali MTL)
+     * I materiali sono quelli indicati da "mtllib" nel file; senza mtllib si usa
+     * l'MTL con lo stesso nome del modello
+     */
+    loadOBJModel: function(objFile, resources, onSuccess, onError) {
+        this.parseInWorker('obj', objFile, (result) => {
+            this.loadOBJMaterials(objFile, result.materialLibraries, resources, (materials) => {
+                try {
+                    const object = this.buildOBJObject(result, materials);
+                    this.processLoadedModel(object, objFile.name);
+                    if (materials) this.debugObjectMaterials(object);
+                    onSuccess(object);
+                } catch (error) {
+                    onError(`Errore parsing OBJ: ${error.message}`);
+                }
+            });
+        }, () => {
+            this.loadOBJInPage(objFile, resources, onSuccess, onError);
+        }, (message) => {
+            onError(`Errore parsing OBJ: ${message}`);
+        });
+    },
+    
+    /**
+     * Carica modello OBJ nel thread principale con OBJLoader (senza worker)
      */
-    loadOBJModel: function(objFile, mtlFile, textureFiles, onSuccess, onError) {
+    loadOBJInPage: function(objFile, resources, onSuccess, onError) {
         console.log('🔧 loadOBJModel - OBJLoader disponibile?', typeof window.OBJLoader !== 'undefined');
-        console.log('🔧 loadOBJModel - MTL file presente?', !!mtlFile);
         
         // Inizializza OBJLoader se necessario
         if (!this.loaders.obj && typeof window.OBJLoader !== 'undefined') {
@@ -252,43 +341,125 @@ window.ModelLoader = {
             return;
         }
         
-        // Carica prima i materiali se disponibili
-        if (mtlFile) {
-            this.loadMTLMaterials(mtlFile, textureFiles, (materials) => {
-                console.log('🔗 Applicando materiali al loader OBJ:', materials);
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            const text = event.target.result;
+            
+            this.loadOBJMaterials(objFile, this.findMTLLibraries(text), resources, (materials) => {
                 this.loaders.obj.setMaterials(materials);
-                this.loadOBJGeometry(objFile, (object) => {
-                    console.log('🔗 Oggetto caricato, verifico materiali applicati:');
-                    this.debugObjectMaterials(object);
+                this.parseOBJGeometry(text, objFile.name, (object) => {
+                    if (materials) this.debugObjectMaterials(object);
                     onSuccess(object);
                 }, onError);
+            });
+        };
+        
+        reader.onerror = () => onError('Errore lettura file OBJ');
+        reader.readAsText(objFile);
+    },
+    
+    /**
+     * Carica i materiali di un OBJ; senza MTL utilizzabili onComplete riceve null
+     * @param {Array} libraries - Righe "mtllib" del file
+     */
+    loadOBJMaterials: function(objFile, libraries, resources, onComplete) {
+        this.resolveMTLSources(objFile, libraries, resources.materials).then(sources => {
+            console.log('🔧 loadOBJModel - MTL trovati:', sources.map(source => source.name));
+            
+            if (sources.length === 0) {
+                onComplete(null);
+                return;
+            }
+            
+            this.loadMTLMaterials(sources, resources.textures, objFile.name, (materials) => {
+                console.log('🔗 Applicando materiali al modello OBJ:', materials);
+                onComplete(materials);
             }, (error) => {
                 AppConfig.log(1, 'Errore caricamento materiali, proseguo senza:', error);
-                this.loadOBJGeometry(objFile, onSuccess, onError);
+                onComplete(null);
             });
-        } else {
-            this.loadOBJGeometry(objFile, onSuccess, onError);
-        }
+        }).catch(error => {
+            AppConfig.log(1, `Errore lettura materiali di ${objFile.name}, proseguo senza: ${error.message}`);
+            onComplete(null);
+        });
     },
     
     /**
-     * Carica la geometria OBJ
+     * Crea il modello dal risultato di ModelParsers.parseOBJ, come farebbe OBJLoader
+     * @param {Object} result - Oggetti analizzati nel worker
+     * @param {Object} materials - Materiali MTL (MaterialCreator) o null
      */
-    loadOBJGeometry: function(objFile, onSuccess, onError) {
-        const reader = new FileReader();
+    buildOBJObject: function(result, materials) {
+        const container = new THREE.Group();
+        const defaultMaterials = {}; // Materiali senza MTL, condivisi tra gli oggetti
         
-        reader.onload = (event) => {
-            try {
-                const object = this.loaders.obj.parse(event.target.result);
-                this.processLoadedModel(object, objFile.name);
-                onSuccess(object);
-            } catch (error) {
-                onError(`Errore parsing OBJ: ${error.message}`);
+        result.objects.forEach(source => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(source.positions, 3));
+            if (source.normals) geometry.setAttribute('normal', new THREE.BufferAttribute(source.normals, 3));
+            if (source.colors) geometry.setAttribute('color', new THREE.BufferAttribute(source.colors, 3));
+            if (source.uvs) geometry.setAttribute('uv', new THREE.BufferAttribute(source.uvs, 2));
+            
+            const isLine = source.type === 'Line';
+            const created = source.materials.map(entry => {
+                let material = materials ? materials.create(entry.name) : null;
+                
+                // I materiali MTL sono per mesh: le linee ne copiano solo le proprietà base
+                if (material && isLine && !material.isLineBasicMaterial) {
+                    const lineMaterial = new THREE.LineBasicMaterial();
+                    THREE.Material.prototype.copy.call(lineMaterial, material);
+                    lineMaterial.color.copy(material.color);
+                    material = lineMaterial;
+                }
+                
+                if (!material) {
+                    const key = `${entry.name}_${entry.smooth}_${!!source.colors}_${isLine}`;
+                    if (!defaultMaterials[key]) {
+                        material = isLine ? new THREE.LineBasicMaterial() : new THREE.MeshPhongMaterial();
+                        material.name = entry.name;
+                        material.flatShading = !entry.smooth;
+                        material.vertexColors = !!source.colors;
+                        defaultMaterials[key] = material;
+                    }
+                    material = defaultMaterials[key];
+                }
+                return material;
+            });
+            
+            if (created.length > 1) {
+                source.materials.forEach((entry, index) => {
+                    geometry.addGroup(entry.groupStart, entry.groupCount, index);
+                });
             }
-        };
+            
+            const material = created.length > 1 ? created : created[0];
+            const object = isLine ? new THREE.LineSegments(geometry, material) : new THREE.Mesh(geometry, material);
+            object.name = source.name;
+            container.add(object);
+        });
         
-        reader.onerror = () => onError('Errore lettura file OBJ');
-        reader.readAsText(objFile);
+        // File con soli vertici: nuvola di punti
+        if (result.points) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(result.points, 3));
+            container.add(new THREE.Points(geometry, new THREE.PointsMaterial({ size: 1, sizeAttenuation: false })));
+        }
+        
+        return container;
+    },
+    
+    /**
+     * Analizza la geometria OBJ
+     */
+    parseOBJGeometry: function(text, fileName, onSuccess, onError) {
+        try {
+            const object = this.loaders.obj.parse(text);
+            this.processLoadedModel(object, fileName);
+            onSuccess(object);
+        } catch (error) {
+            onError(`Errore parsing OBJ: ${error.message}`);
+        }
     },
     
     /**
@@ -312,10 +483,96 @@ window.ModelLoader = {
         reader.readAsText(objFile);
     },
     
+    /**
+     * Righe "mtllib" di un OBJ (ognuna può indicare più librerie)
+     */
+    findMTLLibraries: function(objText) {
+        const libraries = [];
+        const pattern = /^[ \t]*mtllib[ \t]+(.+?)[ \t]*$/gm;
+        let match;
+        
+        while ((match = pattern.exec(objText)) !== null) {
+            libraries.push(match[1]);
+        }
+        
+        return libraries;
+    },
+    
+    /**
+     * Trova il testo degli MTL di un OBJ: prima tra i file selezionati, poi nella
+     * cartella di origine del modello (scenari). Le librerie mancanti vengono segnalate
+     * @param {Array} declarations - Righe "mtllib" del file
+     * @returns {Promise} Risolta con le sorgenti { name, text, folder }
+     */
+    resolveMTLSources: function(objFile, declarations, materialFiles) {
+        // Più librerie sulla stessa riga sono separate da spazi
+        const libraries = [];
+        declarations.forEach(declaration => {
+            declaration.split(/\s+/).forEach(name => {
+                if (name && !libraries.includes(name)) libraries.push(name);
+            });
+        });
+        
+        const objFolder = this.getSourceFolder(objFile);
+        
+        // Senza mtllib vale l'abbinamento per nome (modello.obj + modello.mtl)
+        if (libraries.length === 0) {
+            const baseName = this.getBaseName(objFile.name);
+            const sameName = materialFiles.find(file => this.getBaseName(file.name) === baseName);
+            return sameName ? this.readMTLFile(sameName).then(source => (source ? [source] : [])) : Promise.resolve([]);
+        }
+        
+        const loads = libraries.map(library => {
+            const name = this.getResourceName(library);
+            const selected = this.findResourceFile(materialFiles, library, objFile);
+            if (selected) {
+                return this.readMTLFile(selected);
+            }
+            
+            if (!objFolder) {
+                this.reportMissing(objFile.name, 'materiali', library);
+                return null;
+            }
+            
+            const url = objFolder + library.replace(/\\/g, '/');
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => ({ name: name, text: text, folder: url.substring(0, url.lastIndexOf('/') + 1) }))
+                .catch(error => {
+                    this.reportMissing(objFile.name, 'materiali', `${library} (${error.message})`);
+                    return null;
+                });
+        });
+        
+        return Promise.all(loads).then(sources => sources.filter(source => source));
+    },
+    
+    /**
+     * Legge un file MTL selezionato
+     */
+    readMTLFile: function(mtlFile) {
+        return mtlFile.text()
+            .then(text => ({ name: mtlFile.name, text: text, folder: this.getSourceFolder(mtlFile), file: mtlFile }))
+            .catch(() => {
+                this.reportMissing(mtlFile.name, 'materiali', 'file illeggibile');
+                return null;
+            });
+    },
+    
     /**
      * Carica materiali MTL
+     * Le texture (map_Kd, map_Bump, map_d...) vengono prese da textureCache se selezionate,
+     * altrimenti dalla cartella dell'MTL; quelle non trovate vengono segnalate per nome
+     * @param {Array} sources - MTL da unire { name, text, folder }
+     * @param {Array} textureFiles - Texture della selezione
+     * @param {string} modelName - Modello che usa i materiali (per le segnalazioni)
      */
-    loadMTLMaterials: function(mtlFile, textureFiles, onSuccess, onError) {
+    loadMTLMaterials: function(sources, textureFiles, modelName, onSuccess, onError) {
         console.log('🔧 loadMTLMaterials - MTLLoader disponibile?', typeof window.MTLLoader !== 'undefined');
         
         if (!this.loaders.mtl && typeof window.MTLLoader !== 'undefined') {
@@ -329,38 +586,121 @@ window.ModelLoader = {
             return;
         }
         
-        const reader = new FileReader();
-        
-        reader.onload = (event) => {
+        // Pre-carica le texture se disponibili
+        this.preloadTextures(textureFiles, () => {
             try {
-                // Pre-carica le texture se disponibili
-                this.preloadTextures(textureFiles, () => {
-                    console.log('🎨 Parsing file MTL...');
-                    const materials = this.loaders.mtl.parse(event.target.result);
-                    console.log('🎨 Materiali parsati:', materials);
-                    
-                    // Prima esegui preload per creare effettivamente i materiali
-                    materials.preload();
-                    
-                    // Poi migliora i materiali per la visualizzazione
-                    console.log('🎨 Materiali dopo preload:', materials.materials);
-                    this.enhanceMaterials(materials.materials);
-                    
-                    onSuccess(materials);
-                });
+                const folder = sources[0].folder;
+                this.loaders.mtl.manager = this.createTextureManager(modelName, folder, textureFiles, sources[0].file);
+                
+                console.log('🎨 Parsing file MTL...', sources.map(source => source.name));
+                const text = sources.map(source => source.text).join('\n');
+                const materials = this.loaders.mtl.parse(text, folder);
+                console.log('🎨 Materiali parsati:', materials);
+                
+                // Prima esegui preload per creare effettivamente i materiali
+                materials.preload();
+                
+                // Poi migliora i materiali per la visualizzazione
+                console.log('🎨 Materiali dopo preload:', materials.materials);
+                this.enhanceMaterials(materials.materials);
+                
+                onSuccess(materials);
             } catch (error) {
                 onError(`Errore parsing MTL: ${error.message}`);
             }
-        };
+        });
+    },
+    
+    /**
+     * Manager per le texture degli MTL: usa quelle in textureCache e, se manca,
+     * scarica dalla cartella di origine segnalando i file non trovati
+     * @param {string} modelName - Modello che usa le texture (per le segnalazioni)
+     * @param {string} folder - Cartella di origine dell'MTL ('' se locale)
+     * @param {Array} textureFiles - Texture della selezione
+     * @param {File} mtlFile - MTL selezionato, per i percorsi relativi (undefined se scaricato)
+     */
+    createTextureManager: function(modelName, folder, textureFiles, mtlFile) {
+        const manager = new THREE.LoadingManager();
         
-        reader.onerror = () => onError('Errore lettura file MTL');
-        reader.readAsText(mtlFile);
+        manager.addHandler(/.*/, {
+            load: (url) => {
+                const name = this.getResourceName(url);
+                const selected = mtlFile ? this.findResourceFile(textureFiles || [], url, mtlFile) : null;
+                const cached = (selected && this.textureCache[this.getResourceKey(selected)]) ||
+                               this.getCachedTexture(name);
+                if (cached) {
+                    // Copia: ogni materiale imposta ripetizione e spazio colore per conto suo
+                    return cached.clone();
+                }
+                
+                if (!folder) {
+                    this.reportMissing(modelName, 'texture', name);
+                    return new THREE.Texture();
+                }
+                
+                return this.loaders.texture.load(url.replace(/\\/g, '/'), undefined, undefined, () => {
+                    this.reportMissing(modelName, 'texture', url);
+                });
+            }
+        });
+        
+        return manager;
+    },
+    
+    /**
+     * Cerca una texture in cache per nome file (senza distinguere maiuscole)
+     */
+    getCachedTexture: function(name) {
+        const key = Object.keys(this.textureCache).find(cached => cached.split('/').pop().toLowerCase() === name);
+        return key ? this.textureCache[key] : null;
+    },
+    
+    /**
+     * Registra una risorsa citata da un modello ma non trovata
+     * @param {string} owner - File che contiene il riferimento
+     * @param {string} kind - Tipo di risorsa ('materiali', 'texture'...)
+     * @param {string} reference - Nome o percorso indicato nel file
+     */
+    reportMissing: function(owner, kind, reference) {
+        const message = `${owner}: ${kind} "${reference}" non trovato`;
+        if (!this.missingResources.includes(message)) {
+            this.missingResources.push(message);
+            AppConfig.log(1, message);
+        }
     },
     
     /**
      * Carica modello STL
      */
     loadSTLModel: function(stlFile, onSuccess, onError) {
+        const createMesh = (geometry) => {
+            // Materiale di default, oppure bianco se il file ha i colori per faccia
+            const hasColors = !!geometry.attributes.color;
+            const material = new THREE.MeshLambertMaterial({
+                color: hasColors ? 0xffffff : AppConfig.scene3D.materials.defaultColor,
+                vertexColors: hasColors
+            });
+            
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = stlFile.name;
+            
+            this.processLoadedModel(mesh, stlFile.name);
+            onSuccess(mesh);
+        };
+        
+        this.parseInWorker('stl', stlFile, (result) => {
+            createMesh(this.createSTLGeometry(result.positions, result.normals, result.colors));
+        }, () => {
+            this.loadSTLInPage(stlFile, createMesh, onError);
+        }, (message) => {
+            onError(`Errore parsing STL: ${message}`);
+        });
+    },
+    
+    /**
+     * Carica modello STL nel thread principale (senza worker)
+     */
+    loadSTLInPage: function(stlFile, createMesh, onError) {
         if (!this.loaders.stl && typeof THREE.STLLoader !== 'undefined') {
             this.loaders.stl = new THREE.STLLoader();
         }
@@ -369,25 +709,13 @@ window.ModelLoader = {
         
         reader.onload = (event) => {
             try {
-                let geometry;
                 if (this.loaders.stl) {
-                    geometry = this.loaders.stl.parse(event.target.result);
+                    createMesh(this.loaders.stl.parse(event.target.result));
                 } else {
-                    // Fallback parser STL semplice
-                    geometry = this.parseSTLSimple(event.target.result);
+                    // Fallback parser STL integrato (a blocchi, non blocca la UI)
+                    this.parseSTLSimple(event.target.result, createMesh,
+                        (message) => onError(`Errore parsing STL: ${message}`));
                 }
-                
-                // Crea mesh con materiale di default
-                const material = new THREE.MeshLambertMaterial({
-                    color: AppConfig.scene3D.materials.defaultColor
-                });
-                
-                const mesh = new THREE.Mesh(geometry, material);
-                mesh.name = stlFile.name;
-                
-                this.processLoadedModel(mesh, stlFile.name);
-                onSuccess(mesh);
-                
             } catch (error) {
                 onError(`Errore parsing STL: ${error.message}`);
             }
@@ -397,18 +725,150 @@ window.ModelLoader = {
         reader.readAsArrayBuffer(stlFile);
     },
     
+    /**
+     * Carica modello glTF 2.0 (.gltf con risorse esterne o .glb)
+     * Contenitore, JSON e accessor vengono decodificati nel pool di worker; qui GLTFLoader
+     * crea la scena (mesh, materiali, texture, clip) dai buffer già pronti
+     * Buffer e texture vengono cercati per nome tra i file forniti; quelli mancanti
+     * vengono letti dalla cartella di origine del modello, se nota (scenari)
+     * @param {File} gltfFile - File .gltf o .glb
+     * @param {Array} resourceFiles - File .bin e texture della stessa selezione
+     */
+    loadGLTFModel: function(gltfFile, resourceFiles, onSuccess, onError) {
+        if (typeof window.GLTFLoader === 'undefined') {
+            onError('GLTFLoader non disponibile');
+            return;
+        }
+        
+        // Ogni caricamento ha il proprio manager: gli URL puntano ai file di questa selezione
+        const files = resourceFiles || [];
+        const resourceUrls = new Map(files.map(file => [file, URL.createObjectURL(file)]));
+        
+        const releaseUrls = () => {
+            resourceUrls.forEach(url => URL.revokeObjectURL(url));
+        };
+        
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier(url => {
+            if (url.startsWith('data:') || url.startsWith('blob:')) return url;
+            
+            const selected = this.findResourceFile(files, url, gltfFile);
+            if (selected) {
+                return resourceUrls.get(selected);
+            }
+            
+            AppConfig.log(3, `Risorsa glTF ${this.getResourceName(url)} non nella selezione, uso ${url}`);
+            return url;
+        });
+        
+        const loader = new window.GLTFLoader(manager);
+        const basePath = this.getSourceFolder(gltfFile);
+        
+        // data: ArrayBuffer del file, oppure il risultato di ModelParsers.parseGLTF
+        const parse = (data) => {
+            try {
+                if (data.views) {
+                    loader.register(() => this.createBufferViewPlugin(data.views));
+                }
+                
+                loader.parse(data.views ? data.json : data, basePath, (gltf) => {
+                    releaseUrls();
+                    
+                    const model = gltf.scene || gltf.scenes[0];
+                    if (!model) {
+                        onError(`Il file ${gltfFile.name} non contiene scene`);
+                        return;
+                    }
+                    
+                    // Le clip restano sul modello: Scene3D crea il mixer che le riproduce
+                    model.animations = gltf.animations || [];
+                    
+                    this.processLoadedModel(model, gltfFile.name);
+                    
+                    AppConfig.log(2, `glTF ${gltfFile.name}: ${this.countMeshes(model)} mesh, ` +
+                                  `${model.animations.length} clip`);
+                    onSuccess(model);
+                }, (error) => {
+                    releaseUrls();
+                    onError(`Errore parsing glTF ${gltfFile.name}: ${error.message || error}`);
+                });
+            } catch (error) {
+                releaseUrls();
+                onError(`Errore parsing glTF ${gltfFile.name}: ${error.message}`);
+            }
+        };
+        
+        this.parseInWorker('gltf', gltfFile, parse, () => {
+            const reader = new FileReader();
+            reader.onload = (event) => parse(event.target.result);
+            reader.onerror = () => {
+                releaseUrls();
+                onError('Errore lettura file glTF');
+            };
+            
+            // Anche i .gltf testuali vanno letti come ArrayBuffer: il loader riconosce il formato
+            reader.readAsArrayBuffer(gltfFile);
+        }, (message) => {
+            releaseUrls();
+            onError(`Errore parsing glTF ${gltfFile.name}: ${message}`);
+        });
+    },
+    
+    /**
+     * Plugin di GLTFLoader che fornisce le bufferView decodificate nel worker
+     * Le bufferView senza copia (buffer .bin esterni) le legge GLTFLoader come sempre
+     * @param {Array} views - ArrayBuffer per indice di bufferView, o null
+     */
+    createBufferViewPlugin: function(views) {
+        return {
+            name: 'CAMPUSVT_worker_buffer_views',
+            loadBufferView: (index) => (views[index] ? Promise.resolve(views[index]) : null)
+        };
+    },
+    
+    /**
+     * Analizza un file nel pool di worker, se disponibile
+     * @param {string} type - 'obj', 'stl' o 'gltf'
+     * @param {File} file - File da analizzare
+     * @param {Function} onResult - Riceve il risultato di ModelParsers (buffer trasferiti)
+     * @param {Function} inPage - Caricamento alternativo nel thread principale
+     * @param {Function} onError - Riceve il messaggio se il file non è valido
+     */
+    parseInWorker: function(type, file, onResult, inPage, onError) {
+        if (!window.ParserPool || !ParserPool.isAvailable()) {
+            inPage();
+            return;
+        }
+        
+        ParserPool.run(type, file)
+            .then(onResult)
+            .catch(error => {
+                // Caricamento annullato: nessuno attende più il risultato
+                if (error.cancelled) return;
+                
+                // Worker non utilizzabile: si ripiega sul thread principale
+                if (error.workerUnavailable) {
+                    inPage();
+                } else {
+                    onError(error.message);
+                }
+            });
+    },
+    
     /**
      * Pre-carica texture nella cache
      */
     preloadTextures: function(textureFiles, onComplete) {
-        if (!textureFiles || textureFiles.length === 0) {
+        // Le texture già in cache (es. condivise da più modelli) non vengono rilette
+        const pending = (textureFiles || []).filter(file => !this.textureCache[this.getResourceKey(file)]);
+        if (pending.length === 0) {
             onComplete();
             return;
         }
         
         let loaded = 0;
         
-        textureFiles.forEach(file => {
+        pending.forEach(file => {
             const reader = new FileReader();
             
             reader.onload = (event) => {
@@ -418,10 +878,10 @@ window.ModelLoader = {
                 
                 // Carica texture in cache
                 const texture = this.loaders.texture.load(url);
-                this.textureCache[file.name] = texture;
+                this.textureCache[this.getResourceKey(file)] = texture;
                 
                 loaded++;
-                if (loaded === textureFiles.length) {
+                if (loaded === pending.length) {
                     onComplete();
                 }
             };
@@ -443,9 +903,6 @@ window.ModelLoader = {
                     child.geometry.computeVertexNormals();
                 }
                 
-                // Centra la geometria
-                child.geometry.center();
-                
                 // Abilita ombre
                 child.castShadow = true;
                 child.receiveShadow = true;
@@ -461,6 +918,48 @@ window.ModelLoader = {
         AppConfig.log(3, `Modello ${filename} processato`);
     },
     
+    /**
+     * Centra ogni geometria del modello sulla propria origine (opzione center dello scenario)
+     * Le coordinate del CAD vanno perse: la posizione si indica con position=
+     */
+    centerGeometries: function(model) {
+        model.traverse((child) => {
+            if (child.isMesh) child.geometry.center();
+        });
+        
+        AppConfig.log(3, `Geometrie di ${model.name} centrate`);
+    },
+    
+    /**
+     * Porta il modello nell'unità della scena (AppConfig.scene3D.unit) e con l'asse Y verso l'alto
+     * La conversione sta nella geometria (mesh singole, es. STL) o in un gruppo interno:
+     * posizione e rotazione del modello restano libere per position= e per le animazioni
+     * @param {Object} options - { units, up } del modello
+     */
+    normalizeUnits: function(model, options) {
+        const units = AppConfig.files.units;
+        const scale = units[options.units] / units[AppConfig.scene3D.unit];
+        const zUp = options.up === 'Z';
+        if (scale === 1 && !zUp) return;
+        
+        // Z verso l'alto: rotazione di -90° attorno a X, così (0,0,1) diventa (0,1,0)
+        const matrix = new THREE.Matrix4().makeScale(scale, scale, scale);
+        if (zUp) matrix.premultiply(new THREE.Matrix4().makeRotationX(-Math.PI / 2));
+        
+        if (model.isMesh) {
+            model.geometry.applyMatrix4(matrix);
+        } else {
+            const frame = new THREE.Group();
+            frame.name = `${model.name} (${options.units}${zUp ? ', Z su' : ''})`;
+            frame.applyMatrix4(matrix);
+            model.children.slice().forEach(child => frame.add(child));
+            model.add(frame);
+        }
+        
+        AppConfig.log(3, `${model.name}: convertito da ${options.units} a ${AppConfig.scene3D.unit}` +
+                      (zUp ? ', asse Z verso l\'alto' : ''));
+    },
+    
     /* ===== UTILITY ===== */
     
     /**
@@ -470,6 +969,127 @@ window.ModelLoader = {
         return filename.substring(filename.lastIndexOf('.'));
     },
     
+    /**
+     * Indica se un file è un modello glTF (.gltf o .glb)
+     */
+    isGLTFFile: function(file) {
+        return ['.gltf', '.glb'].includes(this.getFileExtension(file.name).toLowerCase());
+    },
+    
+    /**
+     * Nome del file di una risorsa referenziata da un modello (senza cartelle né query)
+     */
+    getResourceName: function(url) {
+        const path = url.split(/[?#]/)[0].replace(/\\/g, '/');
+        let name = path.substring(path.lastIndexOf('/') + 1);
+        try {
+            name = decodeURIComponent(name);
+        } catch (error) {
+            // Nome non codificato: si usa così com'è
+        }
+        return name.toLowerCase();
+    },
+    
+    /**
+     * Registra l'URL da cui è stato scaricato un file (es. modello di uno scenario)
+     */
+    setSourcePath: function(file, path) {
+        this.sourcePaths.set(file, path);
+    },
+    
+    /**
+     * Cartella di origine di un file, con la barra finale ('' se il file è locale)
+     */
+    getSourceFolder: function(file) {
+        const path = this.sourcePaths.get(file);
+        return path ? path.substring(0, path.lastIndexOf('/') + 1) : '';
+    },
+    
+    /**
+     * Registra le opzioni di un modello (scenario o impostazioni della modalità manuale)
+     * @param {Object} options - { center, units, up, position } (le chiavi assenti valgono come in AppConfig.files.models;
+     *                           position { x, y, z } è lo spostamento dato da position= nell'unità della scena)
+     */
+    setModelOptions: function(file, options) {
+        this.modelOptions.set(file, options);
+    },
+    
+    /**
+     * Opzioni di un modello: quelle registrate con setModelOptions, altrimenti i default di AppConfig
+     */
+    getModelOptions: function(file) {
+        return Object.assign({}, AppConfig.files.models, this.modelOptions.get(file));
+    },
+    
+    /**
+     * Registra il percorso di un file all'interno di una cartella trascinata
+     */
+    setLocalPath: function(file, path) {
+        this.localPaths.set(file, path);
+    },
+    
+    /**
+     * Chiave di un file in textureCache: il percorso nella cartella trascinata, se noto, altrimenti il nome
+     */
+    getResourceKey: function(file) {
+        return this.localPaths.get(file) || file.name;
+    },
+    
+    /**
+     * Cerca tra i file selezionati quello citato da un modello o da un MTL
+     * Per i file di una cartella trascinata vale prima il percorso relativo al file che
+     * contiene il riferimento (così due texture con lo stesso nome restano distinte), poi il solo nome
+     * @param {Array} files - File candidati
+     * @param {string} reference - Percorso indicato nel file (es. "texture/legno.jpg")
+     * @param {File} owner - File che contiene il riferimento
+     * @returns {File|null} File trovato
+     */
+    findResourceFile: function(files, reference, owner) {
+        const ownerPath = this.localPaths.get(owner);
+        if (ownerPath) {
+            const path = this.resolveLocalPath(ownerPath, reference);
+            const exact = files.find(file => (this.localPaths.get(file) || '').toLowerCase() === path);
+            if (exact) return exact;
+        }
+        
+        const name = this.getResourceName(reference);
+        return files.find(file => file.name.toLowerCase() === name) || null;
+    },
+    
+    /**
+     * Percorso (minuscolo) di un riferimento relativo alla cartella del file che lo contiene
+     */
+    resolveLocalPath: function(ownerPath, reference) {
+        const parts = ownerPath.split('/').slice(0, -1);
+        let path = reference.split(/[?#]/)[0].replace(/\\/g, '/');
+        try {
+            path = decodeURIComponent(path);
+        } catch (error) {
+            // Percorso non codificato: si usa così com'è
+        }
+        
+        path.split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        
+        return parts.join('/').toLowerCase();
+    },
+    
+    /**
+     * Conta le mesh di un modello
+     */
+    countMeshes: function(model) {
+        let count = 0;
+        model.traverse(child => {
+            if (child.isMesh) count++;
+        });
+        return count;
+    },
+    
     /**
      * Estrae il nome base di un file (senza estensione)
      */
@@ -521,6 +1141,85 @@ window.ModelLoader = {
         return new THREE.Mesh(geometry, material);
     },
     
+    /* ===== PARSER STL INTEGRATO ===== */
+    
+    /**
+     * Parser STL (binario e ASCII) per fallback nel thread principale
+     * Usa ModelParsers a blocchi di durata limitata così i file grandi non bloccano l'interfaccia
+     * @param {ArrayBuffer} buffer - Contenuto del file
+     * @param {Function} onComplete - Riceve la BufferGeometry
+     * @param {Function} onError - Riceve il messaggio di errore
+     */
+    parseSTLSimple: function(buffer, onComplete, onError) {
+        let parser;
+        try {
+            parser = ModelParsers.createSTLParser(buffer);
+        } catch (error) {
+            onError(error.message);
+            return;
+        }
+        
+        this.runInSlices(() => parser.next(5000), () => {
+            let result;
+            try {
+                result = parser.result();
+            } catch (error) {
+                onError(error.message);
+                return;
+            }
+            onComplete(this.createSTLGeometry(result.positions, result.normals, result.colors));
+        }, onError);
+    },
+    
+    /**
+     * Crea la geometria STL dagli array letti
+     */
+    createSTLGeometry: function(positions, normals, colors) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        if (normals) {
+            geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        }
+        if (colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        }
+        
+        AppConfig.log(3, `STL: ${positions.length / 9} facce${colors ? ' con colori' : ''}`);
+        return geometry;
+    },
+    
+    /**
+     * Esegue un lavoro lungo a blocchi, restituendo il controllo al browser tra un blocco e l'altro
+     * Si ferma senza chiamare onDone se nel frattempo il caricamento viene annullato
+     * @param {Function} work - Elabora un blocco; restituisce true se resta altro da fare
+     * @param {Function} onDone - Chiamata al termine
+     * @param {Function} onError - Riceve il messaggio se un blocco fallisce
+     */
+    runInSlices: function(work, onDone, onError) {
+        const sliceTime = AppConfig.files.parsing.sliceTime;
+        const loadId = this.loadId;
+        
+        const runSlice = () => {
+            if (loadId !== this.loadId) return;
+            
+            try {
+                const start = performance.now();
+                while (work()) {
+                    if (performance.now() - start > sliceTime) {
+                        setTimeout(runSlice, 0);
+                        return;
+                    }
+                }
+            } catch (error) {
+                onError(error.message);
+                return;
+            }
+            onDone();
+        };
+        
+        runSlice();
+    },
+    
     /**
      * Migliora i materiali per una migliore visualizzazione
      */
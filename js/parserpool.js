@@ -0,0 +1,206 @@
+/**
+ * PARSERPOOL.JS - Pool di Web Worker per l'analisi dei modelli
+ *
+ * Questo modulo gestisce:
+ * - Creazione dei worker su richiesta, fino alla dimensione del pool
+ * - Coda dei file da analizzare e assegnazione al primo worker libero
+ * - Risultati con buffer trasferiti (nessuna copia verso il thread principale)
+ * - Disattivazione automatica se i worker non sono utilizzabili (es. pagina aperta da file://)
+ */
+
+window.ParserPool = {
+    
+    /* ===== STATO POOL ===== */
+    workers: [],                   // Worker creati { worker, job }
+    queue: [],                     // Lavori in attesa { id, type, file, onProgress, resolve, reject }
+    nextJobId: 1,                  // Identificativo del prossimo lavoro
+    available: false,              // Worker utilizzabili in questo browser
+    workerUrl: 'js/parserworker.js?nocache=1000017',
+    
+    /**
+     * Inizializza il pool (i worker vengono creati al primo utilizzo)
+     */
+    init: function() {
+        const config = AppConfig.files.workers;
+        
+        this.available = config.enabled &&
+                         typeof Worker !== 'undefined' &&
+                         window.location.protocol !== 'file:';
+        
+        AppConfig.log(2, `ParserPool inizializzato (${this.available ? `fino a ${this.getPoolSize()} worker` : 'analisi nel thread principale'})`);
+    },
+    
+    /**
+     * Indica se l'analisi può avvenire nei worker
+     */
+    isAvailable: function() {
+        return this.available;
+    },
+    
+    /* ===== LAVORI ===== */
+    
+    /**
+     * Analizza un file in un worker
+     * @param {string} type - 'obj', 'stl' o 'gltf'
+     * @param {File} file - File da analizzare
+     * @param {Function} onProgress - Riceve la frazione analizzata (opzionale)
+     * @returns {Promise} Risolta con il risultato di ModelParsers; in caso di errore l'Error
+     *          ha workerUnavailable = true se il problema è il worker e non il file,
+     *          cancelled = true se il lavoro è stato annullato
+     */
+    run: function(type, file, onProgress) {
+        return new Promise((resolve, reject) => {
+            if (!this.available) {
+                reject(this.createUnavailableError('worker non disponibili'));
+                return;
+            }
+            
+            this.queue.push({
+                id: this.nextJobId++,
+                type: type,
+                file: file,
+                onProgress: onProgress,
+                resolve: resolve,
+                reject: reject
+            });
+            this.dispatch();
+        });
+    },
+    
+    /**
+     * Assegna i lavori in coda ai worker liberi
+     */
+    dispatch: function() {
+        while (this.queue.length > 0) {
+            const entry = this.getIdleWorker();
+            if (!entry) return;
+            
+            const job = this.queue.shift();
+            entry.job = job;
+            entry.worker.postMessage({ id: job.id, type: job.type, file: job.file });
+            AppConfig.log(3, `Analisi ${job.file.name} nel worker (${job.type})`);
+        }
+    },
+    
+    /**
+     * Restituisce un worker libero, creandolo se il pool non è pieno
+     */
+    getIdleWorker: function() {
+        const idle = this.workers.find(entry => !entry.job);
+        if (idle) return idle;
+        
+        if (this.workers.length >= this.getPoolSize()) return null;
+        
+        try {
+            const entry = { worker: new Worker(this.workerUrl), job: null };
+            entry.worker.onmessage = (event) => this.onWorkerMessage(entry, event.data);
+            entry.worker.onerror = (event) => this.onWorkerError(entry, event);
+            this.workers.push(entry);
+            return entry;
+        } catch (error) {
+            this.disable(`impossibile creare il worker: ${error.message}`);
+            return null;
+        }
+    },
+    
+    /**
+     * Gestisce progresso, risultato o errore di un worker
+     */
+    onWorkerMessage: function(entry, message) {
+        const job = entry.job;
+        if (!job || message.id !== job.id) return;
+        
+        if (message.progress !== undefined) {
+            if (job.onProgress) job.onProgress(message.progress);
+            return;
+        }
+        
+        entry.job = null;
+        if (message.error) {
+            job.reject(new Error(message.error));
+        } else {
+            job.resolve(message.result);
+        }
+        this.dispatch();
+    },
+    
+    /**
+     * Errore non gestito nel worker (es. script non trovato): il pool viene disattivato
+     * e i lavori tornano al chiamante, che li esegue nel thread principale
+     */
+    onWorkerError: function(entry, event) {
+        event.preventDefault();
+        this.disable(event.message || 'errore nel worker');
+    },
+    
+    /**
+     * Disattiva il pool, restituendo tutti i lavori pendenti come non eseguibili
+     */
+    disable: function(reason) {
+        AppConfig.log(1, `ParserPool disattivato, analisi nel thread principale: ${reason}`);
+        this.available = false;
+        
+        const pending = [...this.workers.filter(entry => entry.job).map(entry => entry.job), ...this.queue];
+        this.terminate();
+        pending.forEach(job => job.reject(this.createUnavailableError(reason)));
+    },
+    
+    /**
+     * Annulla tutti i lavori (es. caricamento interrotto dall'utente)
+     * I worker occupati vengono chiusi, perché l'analisi non si può interrompere;
+     * il pool resta attivo e li ricrea al prossimo lavoro
+     */
+    cancel: function() {
+        const busy = this.workers.filter(entry => entry.job);
+        const pending = [...busy.map(entry => entry.job), ...this.queue];
+        
+        busy.forEach(entry => entry.worker.terminate());
+        this.workers = this.workers.filter(entry => !entry.job);
+        this.queue = [];
+        
+        if (pending.length > 0) {
+            AppConfig.log(3, `ParserPool: ${pending.length} analisi annullate`);
+        }
+        pending.forEach(job => job.reject(this.createCancelledError()));
+    },
+    
+    /**
+     * Chiude tutti i worker e svuota la coda
+     */
+    terminate: function() {
+        this.workers.forEach(entry => entry.worker.terminate());
+        this.workers = [];
+        this.queue = [];
+    },
+    
+    /* ===== FUNZIONI DI SUPPORTO ===== */
+    
+    /**
+     * Numero massimo di worker: da AppConfig, altrimenti i core disponibili meno quello della pagina
+     */
+    getPoolSize: function() {
+        const config = AppConfig.files.workers;
+        if (config.poolSize > 0) return config.poolSize;
+        
+        const cores = navigator.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(cores - 1, 4));
+    },
+    
+    /**
+     * Errore che indica di ripetere l'analisi nel thread principale
+     */
+    createUnavailableError: function(reason) {
+        const error = new Error(reason);
+        error.workerUnavailable = true;
+        return error;
+    },
+    
+    /**
+     * Errore dei lavori annullati con cancel()
+     */
+    createCancelledError: function() {
+        const error = new Error('analisi annullata');
+        error.cancelled = true;
+        return error;
+    }
+};
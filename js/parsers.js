@@ -0,0 +1,769 @@
+/**
+ * PARSERS.JS - Parser dei formati modello senza dipendenze da Three.js
+ *
+ * Questo modulo contiene:
+ * - Parser OBJ (oggetti, gruppi materiale, librerie mtllib)
+ * - Parser STL binario e ASCII con colori per faccia
+ * - Decodifica di glTF/GLB (contenitore, JSON e accessor): la scena la crea poi GLTFLoader
+ *
+ * Viene usato sia nella pagina sia nei worker di ParserPool (importScripts),
+ * per questo si registra su self e produce solo array tipizzati
+ */
+
+self.ModelParsers = {
+    
+    /* ===== PARSER OBJ ===== */
+    
+    /**
+     * Analizza un file OBJ come OBJLoader, senza creare oggetti Three.js
+     * @param {string} text - Contenuto del file
+     * @param {Function} onProgress - Riceve la frazione analizzata (opzionale)
+     * @returns {Object} { objects, materialLibraries, points }: ogni oggetto ha
+     *          { name, type, positions, normals, colors, uvs, materials }
+     */
+    parseOBJ: function(text, onProgress) {
+        if (text.indexOf('\r\n') !== -1) {
+            text = text.replace(/\r\n/g, '\n');
+        }
+        if (text.indexOf('\\\n') !== -1) {
+            text = text.replace(/\\\n/g, ''); // Righe spezzate con "\"
+        }
+        
+        const state = {
+            vertices: [],
+            normals: [],
+            colors: [],
+            uvs: [],
+            objects: [],
+            object: null,
+            materialLibraries: []
+        };
+        this.startOBJObject(state, '', false);
+        
+        const lines = text.split('\n');
+        const reportEvery = 100000;
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (onProgress && i % reportEvery === 0) {
+                onProgress(i / lines.length);
+            }
+            
+            const line = lines[i].trimStart();
+            if (line.length === 0 || line.charAt(0) === '#') continue;
+            
+            const data = line.split(/\s+/);
+            const keyword = data[0];
+            
+            switch (keyword) {
+                case 'v':
+                    state.vertices.push(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
+                    // Colore per vertice opzionale: segnaposto per mantenere allineati gli indici
+                    if (data.length >= 7) {
+                        state.colors.push(this.srgbToLinear(parseFloat(data[4])),
+                                          this.srgbToLinear(parseFloat(data[5])),
+                                          this.srgbToLinear(parseFloat(data[6])));
+                    } else {
+                        state.colors.push(undefined, undefined, undefined);
+                    }
+                    break;
+                case 'vn':
+                    state.normals.push(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
+                    break;
+                case 'vt':
+                    state.uvs.push(parseFloat(data[1]), parseFloat(data[2]));
+                    break;
+                case 'f':
+                    this.addOBJPolygon(state, data.slice(1).filter(part => part.length > 0).map(part => part.split('/')));
+                    break;
+                case 'l':
+                    this.addOBJLine(state, data.slice(1).filter(part => part.length > 0));
+                    break;
+                case 'o':
+                case 'g':
+                    this.startOBJObject(state, line.substring(1).trim(), true);
+                    break;
+                case 'usemtl':
+                    this.startOBJMaterial(state.object, line.substring(7).trim());
+                    break;
+                case 'mtllib':
+                    state.materialLibraries.push(line.substring(7).trim());
+                    break;
+                case 's': {
+                    const value = (data[1] || '').toLowerCase();
+                    state.object.smooth = value !== '0' && value !== 'off';
+                    const material = this.currentOBJMaterial(state.object);
+                    if (material) material.smooth = state.object.smooth;
+                    break;
+                }
+                default:
+                    // Punti (p), superfici libere e righe sconosciute vengono ignorati
+                    break;
+            }
+        }
+        
+        this.finalizeOBJObject(state.object, true);
+        
+        const objects = state.objects
+            .filter(object => object.geometry.vertices.length > 0)
+            .map(object => ({
+                name: object.name,
+                type: object.geometry.type,
+                positions: new Float32Array(object.geometry.vertices),
+                normals: object.geometry.normals.length > 0 ? new Float32Array(object.geometry.normals) : null,
+                colors: object.geometry.colors.length > 0 ? new Float32Array(object.geometry.colors) : null,
+                uvs: object.geometry.hasUVIndices ? new Float32Array(object.geometry.uvs) : null,
+                materials: object.materials.map(material => ({
+                    name: material.name,
+                    smooth: material.smooth,
+                    groupStart: material.groupStart || 0,
+                    groupCount: material.groupCount > 0 ? material.groupCount : 0
+                }))
+            }));
+        
+        // Un OBJ con soli vertici è una nuvola di punti
+        const points = objects.length === 0 && state.vertices.length > 0
+            ? new Float32Array(state.vertices)
+            : null;
+        
+        if (onProgress) onProgress(1);
+        
+        return {
+            objects: objects,
+            materialLibraries: state.materialLibraries,
+            points: points
+        };
+    },
+    
+    /**
+     * Inizia un oggetto (o/g); il materiale attivo passa al nuovo oggetto
+     */
+    startOBJObject: function(state, name, fromDeclaration) {
+        // Il primo o/g rinomina l'oggetto implicito iniziale
+        if (state.object && state.object.fromDeclaration === false) {
+            state.object.name = name;
+            state.object.fromDeclaration = fromDeclaration;
+            return;
+        }
+        
+        const previous = state.object ? this.currentOBJMaterial(state.object) : null;
+        if (state.object) {
+            this.finalizeOBJObject(state.object, true);
+        }
+        
+        state.object = {
+            name: name,
+            fromDeclaration: fromDeclaration,
+            geometry: { type: 'Mesh', vertices: [], normals: [], colors: [], uvs: [], hasUVIndices: false },
+            materials: [],
+            smooth: true
+        };
+        
+        if (previous && previous.name) {
+            state.object.materials.push({
+                name: previous.name,
+                smooth: previous.smooth,
+                groupStart: 0,
+                groupEnd: -1,
+                groupCount: -1,
+                inherited: true
+            });
+        }
+        
+        state.objects.push(state.object);
+    },
+    
+    /**
+     * Inizia un gruppo materiale (usemtl) nell'oggetto corrente
+     */
+    startOBJMaterial: function(object, name) {
+        const previous = this.finalizeOBJObject(object, false);
+        
+        // Un materiale ereditato o senza facce viene sostituito
+        if (previous && (previous.inherited || previous.groupCount <= 0)) {
+            object.materials.splice(object.materials.indexOf(previous), 1);
+        }
+        
+        object.materials.push({
+            name: name,
+            smooth: previous ? previous.smooth : object.smooth,
+            groupStart: previous ? previous.groupEnd : 0,
+            groupEnd: -1,
+            groupCount: -1,
+            inherited: false
+        });
+    },
+    
+    /**
+     * Ultimo gruppo materiale dell'oggetto
+     */
+    currentOBJMaterial: function(object) {
+        return object.materials[object.materials.length - 1];
+    },
+    
+    /**
+     * Chiude il gruppo materiale aperto; a fine oggetto rimuove i gruppi vuoti
+     */
+    finalizeOBJObject: function(object, end) {
+        const last = this.currentOBJMaterial(object);
+        const vertexCount = object.geometry.vertices.length / 3;
+        
+        if (last && last.groupEnd === -1) {
+            last.groupEnd = vertexCount;
+            last.groupCount = last.groupEnd - last.groupStart;
+            last.inherited = false;
+        }
+        
+        if (end && object.materials.length > 1) {
+            object.materials = object.materials.filter(material => material.groupCount > 0);
+        }
+        if (end && object.materials.length === 0) {
+            object.materials.push({ name: '', smooth: object.smooth, groupStart: 0, groupCount: vertexCount });
+        }
+        
+        return last;
+    },
+    
+    /**
+     * Aggiunge un poligono (f), diviso in triangoli a ventaglio
+     * @param {Array} corners - Vertici come [v, vt, vn] (indici testuali, anche negativi)
+     */
+    addOBJPolygon: function(state, corners) {
+        for (let i = 1; i < corners.length - 1; i++) {
+            this.addOBJTriangle(state, [corners[0], corners[i], corners[i + 1]]);
+        }
+    },
+    
+    /**
+     * Aggiunge un triangolo con colori, normali (calcolate se assenti) e UV
+     */
+    addOBJTriangle: function(state, corners) {
+        const geometry = state.object.geometry;
+        const positions = corners.map(corner => this.objIndex(corner[0], state.vertices.length, 3));
+        
+        positions.forEach(index => {
+            geometry.vertices.push(state.vertices[index], state.vertices[index + 1], state.vertices[index + 2]);
+            if (state.colors[index] !== undefined) {
+                geometry.colors.push(state.colors[index], state.colors[index + 1], state.colors[index + 2]);
+            }
+        });
+        
+        if (corners[0][2]) {
+            corners.forEach(corner => {
+                const index = this.objIndex(corner[2], state.normals.length, 3);
+                geometry.normals.push(state.normals[index], state.normals[index + 1], state.normals[index + 2]);
+            });
+        } else {
+            const normal = this.faceNormal(state.vertices, positions);
+            geometry.normals.push(...normal, ...normal, ...normal);
+        }
+        
+        if (corners[0][1]) {
+            corners.forEach(corner => {
+                const index = this.objIndex(corner[1], state.uvs.length, 2);
+                geometry.uvs.push(state.uvs[index], state.uvs[index + 1]);
+            });
+            geometry.hasUVIndices = true;
+        } else {
+            geometry.uvs.push(0, 0, 0, 0, 0, 0); // Segnaposto per facce senza UV
+        }
+    },
+    
+    /**
+     * Aggiunge una polilinea (l), disegnata come segmenti
+     */
+    addOBJLine: function(state, parts) {
+        const geometry = state.object.geometry;
+        geometry.type = 'Line';
+        
+        parts.forEach(part => {
+            const fields = part.split('/');
+            const index = this.objIndex(fields[0], state.vertices.length, 3);
+            geometry.vertices.push(state.vertices[index], state.vertices[index + 1], state.vertices[index + 2]);
+            
+            if (fields[1]) {
+                const uv = this.objIndex(fields[1], state.uvs.length, 2);
+                geometry.uvs.push(state.uvs[uv], state.uvs[uv + 1]);
+            }
+        });
+    },
+    
+    /**
+     * Converte un indice OBJ (da 1, o negativo dalla fine) in posizione nell'array
+     */
+    objIndex: function(value, length, size) {
+        const index = parseInt(value, 10);
+        return (index >= 0 ? index - 1 : index + length / size) * size;
+    },
+    
+    /**
+     * Normale di un triangolo dai suoi vertici
+     */
+    faceNormal: function(vertices, indices) {
+        const [a, b, c] = indices.map(index => [vertices[index], vertices[index + 1], vertices[index + 2]]);
+        const cb = [c[0] - b[0], c[1] - b[1], c[2] - b[2]];
+        const ab = [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+        const normal = [
+            cb[1] * ab[2] - cb[2] * ab[1],
+            cb[2] * ab[0] - cb[0] * ab[2],
+            cb[0] * ab[1] - cb[1] * ab[0]
+        ];
+        const length = Math.hypot(normal[0], normal[1], normal[2]) || 1;
+        return normal.map(value => value / length);
+    },
+    
+    /* ===== PARSER STL ===== */
+    
+    /**
+     * Analizza un file STL (binario o ASCII) in un'unica passata
+     * @param {ArrayBuffer} buffer - Contenuto del file
+     * @param {Function} onProgress - Riceve la frazione analizzata (opzionale)
+     * @returns {Object} { positions, normals, colors } (normals e colors possono essere null)
+     */
+    parseSTL: function(buffer, onProgress) {
+        const parser = this.createSTLParser(buffer);
+        while (parser.next(50000)) {
+            if (onProgress) onProgress(parser.progress());
+        }
+        return parser.result();
+    },
+    
+    /**
+     * Crea un parser STL incrementale, per lavorare a blocchi
+     * @returns {Object} { next(count): true se resta altro, progress(), result() }
+     */
+    createSTLParser: function(buffer) {
+        return this.isBinarySTL(buffer)
+            ? this.createBinarySTLParser(buffer)
+            : this.createASCIISTLParser(buffer);
+    },
+    
+    /**
+     * Riconosce il formato binario: la dimensione corrisponde al numero di facce dichiarato
+     * (alcuni esportatori scrivono "solid" anche nell'intestazione binaria)
+     */
+    isBinarySTL: function(buffer) {
+        if (buffer.byteLength >= 84) {
+            const faces = new DataView(buffer).getUint32(80, true);
+            if (84 + faces * 50 === buffer.byteLength) return true;
+        }
+        
+        const start = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 256)));
+        return !/^\s*solid/i.test(start);
+    },
+    
+    /**
+     * STL binario: intestazione di 80 byte, numero facce, 50 byte per faccia
+     * Con "COLOR=" nell'intestazione (VisCAM/SolidView) i 2 byte finali di ogni faccia
+     * sono il suo colore RGB a 5 bit; se il bit 15 è attivo vale il colore dell'intestazione
+     */
+    createBinarySTLParser: function(buffer) {
+        if (buffer.byteLength < 84) {
+            throw new Error('file troppo corto');
+        }
+        
+        const view = new DataView(buffer);
+        const faces = view.getUint32(80, true);
+        if (84 + faces * 50 > buffer.byteLength) {
+            throw new Error(`file troncato: dichiarate ${faces} facce, presenti ${Math.floor((buffer.byteLength - 84) / 50)}`);
+        }
+        
+        const defaultColor = this.readSTLHeaderColor(view);
+        const positions = new Float32Array(faces * 9);
+        const normals = new Float32Array(faces * 9);
+        const colors = defaultColor ? new Float32Array(faces * 9) : null;
+        
+        let face = 0;
+        let hasNormals = false;
+        
+        return {
+            next: (count) => {
+                const end = Math.min(face + count, faces);
+                
+                for (; face < end; face++) {
+                    const offset = 84 + face * 50;
+                    const nx = view.getFloat32(offset, true);
+                    const ny = view.getFloat32(offset + 4, true);
+                    const nz = view.getFloat32(offset + 8, true);
+                    if (nx !== 0 || ny !== 0 || nz !== 0) hasNormals = true;
+                    
+                    let color = defaultColor;
+                    if (colors) {
+                        const packed = view.getUint16(offset + 48, true);
+                        if ((packed & 0x8000) === 0) {
+                            color = [packed & 0x1F, (packed >> 5) & 0x1F, (packed >> 10) & 0x1F]
+                                .map(value => this.srgbToLinear(value / 31));
+                        }
+                    }
+                    
+                    for (let vertex = 0; vertex < 3; vertex++) {
+                        const source = offset + 12 + vertex * 12;
+                        const target = face * 9 + vertex * 3;
+                        
+                        positions[target] = view.getFloat32(source, true);
+                        positions[target + 1] = view.getFloat32(source + 4, true);
+                        positions[target + 2] = view.getFloat32(source + 8, true);
+                        
+                        normals[target] = nx;
+                        normals[target + 1] = ny;
+                        normals[target + 2] = nz;
+                        
+                        if (colors) {
+                            colors[target] = color[0];
+                            colors[target + 1] = color[1];
+                            colors[target + 2] = color[2];
+                        }
+                    }
+                }
+                
+                return face < faces;
+            },
+            progress: () => (faces > 0 ? face / faces : 1),
+            // Senza normali nel file vengono calcolate dopo il caricamento
+            result: () => ({ positions: positions, normals: hasNormals ? normals : null, colors: colors })
+        };
+    },
+    
+    /**
+     * Colore di default dall'intestazione binaria ("COLOR=" seguito da R, G, B, A)
+     * @returns {Array|null} Colore [r, g, b] lineare, o null se il file non ha colori
+     */
+    readSTLHeaderColor: function(view) {
+        for (let index = 0; index < 70; index++) {
+            const tag = String.fromCharCode(...[0, 1, 2, 3, 4, 5].map(i => view.getUint8(index + i)));
+            if (tag === 'COLOR=') {
+                return [6, 7, 8].map(i => this.srgbToLinear(view.getUint8(index + i) / 255));
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * STL ASCII: blocchi "facet normal" con tre righe "vertex"; più solidi vengono uniti
+     */
+    createASCIISTLParser: function(buffer) {
+        const text = new TextDecoder().decode(buffer);
+        const pattern = /(normal|vertex)\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        
+        const positions = [];
+        const normals = [];
+        let normal = [0, 0, 0];
+        let hasNormals = false;
+        let done = false;
+        
+        return {
+            next: (count) => {
+                for (let i = 0; i < count; i++) {
+                    const match = pattern.exec(text);
+                    if (!match) {
+                        done = true;
+                        return false;
+                    }
+                    
+                    const values = [match[2], match[3], match[4]].map(Number);
+                    if (values.some(isNaN)) {
+                        const line = text.substring(0, match.index).split('\n').length;
+                        throw new Error(`valore non numerico alla riga ${line}: "${match[0]}"`);
+                    }
+                    
+                    if (match[1] === 'normal') {
+                        normal = values;
+                        if (values.some(value => value !== 0)) hasNormals = true;
+                    } else {
+                        positions.push(values[0], values[1], values[2]);
+                        normals.push(normal[0], normal[1], normal[2]);
+                    }
+                }
+                return !done;
+            },
+            progress: () => (done ? 1 : pattern.lastIndex / text.length),
+            result: () => {
+                if (positions.length === 0) {
+                    throw new Error('nessuna faccia trovata nel file');
+                }
+                if (positions.length % 9 !== 0) {
+                    throw new Error('numero di vertici non multiplo di 3');
+                }
+                return {
+                    positions: new Float32Array(positions),
+                    normals: hasNormals ? new Float32Array(normals) : null,
+                    colors: null
+                };
+            }
+        };
+    },
+    
+    /* ===== DECODIFICA GLTF ===== */
+    
+    /**
+     * Decodifica un file .glb o .gltf: legge il contenitore e il JSON e copia i dati di ogni
+     * accessor in un array compatto (senza interleaving né sparse), con un buffer per bufferView
+     * I buffer esterni (.bin) restano da leggere: i loro accessor li decodifica GLTFLoader
+     * @param {ArrayBuffer} buffer - Contenuto del file
+     * @param {Function} onProgress - Riceve la frazione decodificata (opzionale)
+     * @returns {Object} { json, views }: views[i] è il contenuto della bufferView i, o null
+     */
+    parseGLTF: function(buffer, onProgress) {
+        const content = this.readGLTFContainer(buffer);
+        const json = content.json;
+        
+        if (!json.asset || String(json.asset.version).charAt(0) !== '2') {
+            throw new Error('glTF non valido o non in versione 2.0');
+        }
+        
+        // Dati di ogni buffer: il blocco binario del GLB e gli URI "data:"
+        const sources = (json.buffers || []).map((bufferDef, index) => {
+            if (bufferDef.uri === undefined) return index === 0 ? content.binary : null;
+            return bufferDef.uri.startsWith('data:') ? this.decodeDataURI(bufferDef.uri) : null;
+        });
+        
+        const bufferViews = json.bufferViews || [];
+        const getBufferView = (index) => {
+            const bufferViewDef = bufferViews[index];
+            const source = bufferViewDef ? sources[bufferViewDef.buffer] : null;
+            if (!source) return null;
+            
+            const byteOffset = bufferViewDef.byteOffset || 0;
+            if (byteOffset + bufferViewDef.byteLength > source.byteLength) {
+                throw new Error(`bufferView ${index} oltre la fine del buffer`);
+            }
+            return new Uint8Array(source.buffer, source.byteOffset + byteOffset, bufferViewDef.byteLength);
+        };
+        
+        // bufferView citate fuori dagli accessor (immagini, Draco...): restano disponibili
+        const referenced = new Set();
+        this.collectGLTFBufferViews(Object.assign({}, json, { accessors: undefined }), referenced);
+        
+        const views = bufferViews.map(() => null);
+        const replaced = new Set();
+        const accessors = json.accessors || [];
+        const decodedViews = [];
+        
+        accessors.forEach((accessor, index) => {
+            const array = this.decodeGLTFAccessor(json, accessor, getBufferView);
+            if (array) {
+                if (accessor.bufferView !== undefined) replaced.add(accessor.bufferView);
+                if (accessor.sparse) {
+                    replaced.add(accessor.sparse.indices.bufferView);
+                    replaced.add(accessor.sparse.values.bufferView);
+                }
+                
+                // L'accessor punta ora al proprio array, dall'inizio
+                accessor.bufferView = bufferViews.length + decodedViews.length;
+                delete accessor.byteOffset;
+                delete accessor.sparse;
+                decodedViews.push({ def: { buffer: 0, byteLength: array.byteLength }, data: array.buffer });
+            }
+            
+            if (onProgress && index % 100 === 99) onProgress((index + 1) / accessors.length);
+        });
+        
+        bufferViews.forEach((bufferViewDef, index) => {
+            if (replaced.has(index) && !referenced.has(index)) return;
+            const bytes = getBufferView(index);
+            if (bytes) views[index] = bytes.slice().buffer;
+        });
+        
+        if (decodedViews.length > 0) {
+            json.bufferViews = bufferViews.concat(decodedViews.map(view => view.def));
+            decodedViews.forEach(view => views.push(view.data));
+        }
+        
+        return { json: json, views: views };
+    },
+    
+    /**
+     * Separa JSON e blocco binario di un GLB; un .gltf testuale è solo JSON
+     * @returns {Object} { json, binary } (binary è un Uint8Array o null)
+     */
+    readGLTFContainer: function(buffer) {
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+        
+        if (buffer.byteLength < 12 || view.getUint32(0, true) !== 0x46546C67) { // "glTF"
+            return { json: JSON.parse(decoder.decode(buffer)), binary: null };
+        }
+        
+        const version = view.getUint32(4, true);
+        if (version < 2) {
+            throw new Error(`glTF ${version} non supportato, serve glTF 2.0`);
+        }
+        
+        const length = view.getUint32(8, true);
+        if (length > buffer.byteLength) {
+            throw new Error('file GLB troncato');
+        }
+        
+        let json = null;
+        let binary = null;
+        let offset = 12;
+        
+        while (offset + 8 <= length) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            
+            if (start + chunkLength > length) {
+                throw new Error('file GLB troncato');
+            }
+            if (chunkType === 0x4E4F534A) { // "JSON"
+                json = JSON.parse(decoder.decode(new Uint8Array(buffer, start, chunkLength)));
+            } else if (chunkType === 0x004E4942 && !binary) { // "BIN"
+                binary = new Uint8Array(buffer, start, chunkLength);
+            }
+            offset = start + chunkLength;
+        }
+        
+        if (!json) {
+            throw new Error('file GLB senza blocco JSON');
+        }
+        return { json: json, binary: binary };
+    },
+    
+    /**
+     * Copia i dati di un accessor in un array tipizzato compatto
+     * @returns {TypedArray} Array con count * componenti valori, o null se i dati stanno in un buffer esterno
+     */
+    decodeGLTFAccessor: function(json, accessor, getBufferView) {
+        const itemSize = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 }[accessor.type];
+        const component = this.gltfComponentTypes[accessor.componentType];
+        if (!itemSize || !component) {
+            throw new Error(`accessor di tipo ${accessor.type}/${accessor.componentType} non valido`);
+        }
+        
+        // Senza dati (es. attributi Draco) l'accessor resta com'è
+        if (accessor.bufferView === undefined && !accessor.sparse) return null;
+        
+        const bytes = accessor.bufferView !== undefined ? getBufferView(accessor.bufferView) : null;
+        const sparse = accessor.sparse;
+        const sparseIndices = sparse ? getBufferView(sparse.indices.bufferView) : null;
+        const sparseValues = sparse ? getBufferView(sparse.values.bufferView) : null;
+        
+        if ((accessor.bufferView !== undefined && !bytes) || (sparse && (!sparseIndices || !sparseValues))) {
+            return null;
+        }
+        
+        const array = new component.array(accessor.count * itemSize);
+        const elementBytes = component.array.BYTES_PER_ELEMENT;
+        
+        if (bytes) {
+            const byteOffset = accessor.byteOffset || 0;
+            const byteStride = json.bufferViews[accessor.bufferView].byteStride || elementBytes * itemSize;
+            const start = bytes.byteOffset + byteOffset;
+            
+            // Dati già compatti e allineati: una sola copia (glTF è little endian come i browser)
+            if (byteStride === elementBytes * itemSize && start % elementBytes === 0 &&
+                byteOffset + array.byteLength <= bytes.byteLength) {
+                array.set(new component.array(bytes.buffer, start, array.length));
+            } else {
+                this.readGLTFElements(bytes, byteOffset, byteStride, component.getter, elementBytes, itemSize, accessor.count, array);
+            }
+        }
+        
+        // Sparse: i valori indicati sostituiscono quelli di base (o gli zeri)
+        if (sparse) {
+            const indexType = this.gltfComponentTypes[sparse.indices.componentType];
+            const indices = new Array(sparse.count);
+            this.readGLTFElements(sparseIndices, sparse.indices.byteOffset || 0, indexType.array.BYTES_PER_ELEMENT,
+                                  indexType.getter, indexType.array.BYTES_PER_ELEMENT, 1, sparse.count, indices);
+            
+            const values = new component.array(sparse.count * itemSize);
+            this.readGLTFElements(sparseValues, sparse.values.byteOffset || 0, elementBytes * itemSize,
+                                  component.getter, elementBytes, itemSize, sparse.count, values);
+            
+            indices.forEach((target, i) => {
+                array.set(values.subarray(i * itemSize, (i + 1) * itemSize), target * itemSize);
+            });
+        }
+        
+        return array;
+    },
+    
+    /**
+     * Legge count elementi di itemSize componenti, distanti byteStride byte (little endian)
+     */
+    readGLTFElements: function(bytes, byteOffset, byteStride, getter, elementBytes, itemSize, count, target) {
+        if (count > 0 && byteOffset + (count - 1) * byteStride + itemSize * elementBytes > bytes.byteLength) {
+            throw new Error('accessor oltre la fine della sua bufferView');
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let i = 0; i < count; i++) {
+            const start = byteOffset + i * byteStride;
+            for (let k = 0; k < itemSize; k++) {
+                target[i * itemSize + k] = view[getter](start + k * elementBytes, true);
+            }
+        }
+    },
+    
+    /**
+     * Raccoglie gli indici "bufferView" citati in una parte del JSON
+     */
+    collectGLTFBufferViews: function(value, result) {
+        if (!value || typeof value !== 'object') return;
+        
+        Object.keys(value).forEach(key => {
+            if (key === 'bufferView' && typeof value[key] === 'number') {
+                result.add(value[key]);
+            } else {
+                this.collectGLTFBufferViews(value[key], result);
+            }
+        });
+    },
+    
+    /**
+     * Contenuto di un URI "data:" in base64 (null per gli altri, che legge GLTFLoader)
+     */
+    decodeDataURI: function(uri) {
+        const separator = uri.indexOf(',');
+        if (separator < 0 || !/;base64$/i.test(uri.substring(0, separator))) return null;
+        
+        const text = atob(uri.substring(separator + 1));
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes;
+    },
+    
+    // Tipi dei componenti glTF: array e lettura da DataView
+    gltfComponentTypes: {
+        5120: { array: Int8Array, getter: 'getInt8' },
+        5121: { array: Uint8Array, getter: 'getUint8' },
+        5122: { array: Int16Array, getter: 'getInt16' },
+        5123: { array: Uint16Array, getter: 'getUint16' },
+        5125: { array: Uint32Array, getter: 'getUint32' },
+        5126: { array: Float32Array, getter: 'getFloat32' }
+    },
+    
+    /* ===== UTILITY ===== */
+    
+    /**
+     * Converte una componente colore da sRGB a lineare (come THREE.Color)
+     */
+    srgbToLinear: function(value) {
+        return value < 0.04045
+            ? value * 0.0773993808
+            : Math.pow(value * 0.9478672986 + 0.0521327014, 2.4);
+    },
+    
+    /**
+     * Buffer trasferibili contenuti in un risultato (array tipizzati, anche annidati)
+     */
+    getTransferables: function(result) {
+        const buffers = new Set();
+        
+        const collect = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (value instanceof ArrayBuffer) {
+                buffers.add(value);
+            } else if (ArrayBuffer.isView(value)) {
+                buffers.add(value.buffer);
+            } else {
+                Object.values(value).forEach(collect);
+            }
+        };
+        
+        collect(result);
+        return Array.from(buffers);
+    }
+};
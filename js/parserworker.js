@@ -0,0 +1,41 @@
+/**
+ * PARSERWORKER.JS - Worker per l'analisi dei modelli fuori dal thread principale
+ *
+ * Riceve { id, type, file } da ParserPool e risponde con:
+ * - { id, progress } durante l'analisi (frazione da 0 a 1)
+ * - { id, result } al termine, trasferendo i buffer senza copiarli
+ * - { id, error } se il file non è valido
+ */
+
+// Stesso parametro anti-cache del worker
+importScripts('parsers.js' + self.location.search);
+
+self.onmessage = function(event) {
+    const job = event.data;
+    const reportProgress = (fraction) => {
+        self.postMessage({ id: job.id, progress: fraction });
+    };
+    
+    job.file.arrayBuffer()
+        .then(buffer => {
+            let result;
+            switch (job.type) {
+                case 'obj':
+                    result = ModelParsers.parseOBJ(new TextDecoder().decode(buffer), reportProgress);
+                    break;
+                case 'stl':
+                    result = ModelParsers.parseSTL(buffer, reportProgress);
+                    break;
+                case 'gltf':
+                    result = ModelParsers.parseGLTF(buffer, reportProgress);
+                    break;
+                default:
+                    throw new Error(`tipo di analisi sconosciuto: ${job.type}`);
+            }
+            
+            self.postMessage({ id: job.id, result: result }, ModelParsers.getTransferables(result));
+        })
+        .catch(error => {
+            self.postMessage({ id: job.id, error: error.message });
+        });
+};
@@ -0,0 +1,216 @@
+/**
+ * PROCEDURE.JS - Procedure guidate a passi
+ *
+ * Questo modulo gestisce:
+ * - Caricamento delle animazioni (animation=) di uno scenario come passi numerati
+ * - Navigazione avanti/indietro e salto diretto a un passo
+ * - Ricostruzione dello stato della scena alla fine dei passi precedenti
+ */
+
+window.Procedure = {
+    
+    /* ===== STATO PROCEDURA ===== */
+    steps: [],                     // Passi { number, title, text, warnings, tools, animation, clipName, fileName, clip, error }
+    currentStep: -1,               // Indice del passo attivo (-1 = nessuna procedura)
+    baseState: [],                 // Stato dei modelli prima del primo passo
+    
+    /* ===== CALLBACK ===== */
+    callbacks: {
+        onStepChange: null         // Chiamata quando cambia il passo attivo
+    },
+    
+    /**
+     * Inizializza il modulo procedure
+     */
+    init: function() {
+        AppConfig.log(2, 'Procedure inizializzato');
+    },
+    
+    /* ===== CARICAMENTO ===== */
+    
+    /**
+     * Carica i passi di uno scenario e porta la scena al primo passo
+     * Va chiamata dopo che i modelli sono stati aggiunti alla scena
+     * @param {Array} steps - Passi dello scenario (da UI.parseHomeConfig)
+     * @param {Function} readText - Legge il testo di un file animazione (default: fetch dal server)
+     * @returns {Promise} Risolta quando tutte le animazioni sono state lette
+     */
+    load: function(steps, readText) {
+        this.clear();
+        
+        this.steps = steps.map((step, index) => Object.assign({}, step, {
+            number: index + 1,
+            fileName: step.animation ? step.animation.split('/').pop() : '',
+            clip: null,
+            error: null
+        }));
+        
+        // Lo stato di partenza serve per poter tornare indietro tra i passi
+        this.captureBaseState();
+        
+        const loads = this.steps.map(step => this.loadStepAnimation(step, readText || this.fetchText));
+        
+        return Promise.all(loads).then(() => {
+            const failed = this.steps.filter(step => step.error).length;
+            AppConfig.log(2, `Procedura caricata: ${this.steps.length} passi` +
+                          (failed > 0 ? `, ${failed} animazioni non disponibili` : ''));
+            this.goToStep(0);
+        });
+    },
+    
+    /**
+     * Legge e analizza l'animazione di un passo
+     * Gli errori vengono registrati sul passo senza interrompere la procedura
+     */
+    loadStepAnimation: function(step, readText) {
+        // Le clip glTF sono già nei modelli: basta verificare che esistano
+        if (step.clipName) {
+            if (!window.ClipPlayer || !ClipPlayer.findClip(step.clipName)) {
+                step.error = 'clip non trovata nei modelli';
+                AppConfig.log(1, `Passo ${step.number}: clip "${step.clipName}" non trovata`);
+            }
+            return Promise.resolve();
+        }
+        
+        if (!step.animation) {
+            return Promise.resolve();
+        }
+        
+        return readText(step.animation)
+            .then(content => {
+                step.clip = Animator.parse(content, step.fileName);
+            })
+            .catch(error => {
+                step.error = error.message;
+                AppConfig.log(1, `Passo ${step.number}: impossibile caricare ${step.animation}: ${error.message}`);
+            });
+    },
+    
+    /**
+     * Scarica il testo di un file animazione dal server
+     */
+    fetchText: function(path) {
+        return fetch(path).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return response.text();
+        });
+    },
+    
+    /**
+     * Raccoglie i problemi di tutti i passi: righe errate, oggetti sconosciuti, file mancanti
+     * @returns {Array} Problemi { file, line, reason, severity } (line 0 = intero file)
+     */
+    getDiagnostics: function() {
+        const diagnostics = [];
+        
+        this.steps.forEach(step => {
+            if (step.clip) {
+                diagnostics.push(...Animator.checkObjects(step.clip));
+            } else if (step.error) {
+                diagnostics.push({
+                    file: step.fileName || `clip ${step.clipName}`,
+                    line: 0,
+                    reason: `passo ${step.number}: ${step.error}`,
+                    severity: 'error'
+                });
+            }
+        });
+        
+        return diagnostics;
+    },
+    
+    /**
+     * Termina la procedura corrente
+     */
+    clear: function() {
+        this.steps = [];
+        this.currentStep = -1;
+        this.baseState = [];
+    },
+    
+    /**
+     * Indica se è attiva una procedura a passi
+     */
+    isActive: function() {
+        return this.steps.length > 0;
+    },
+    
+    /* ===== STATO DELLA SCENA ===== */
+    
+    /**
+     * Salva lo stato di tutti i modelli caricati
+     */
+    captureBaseState: function() {
+        this.baseState = Scene3D.loadedModels.map(model => Animator.captureState(model));
+    },
+    
+    /**
+     * Riporta tutti i modelli allo stato precedente il primo passo
+     */
+    restoreBaseState: function() {
+        this.baseState.forEach(state => Animator.restoreState(state));
+    },
+    
+    /* ===== NAVIGAZIONE ===== */
+    
+    /**
+     * Attiva un passo, portando la scena allo stato finale dei passi precedenti
+     * @param {number} index - Indice del passo (da 0)
+     * @returns {boolean} True se il passo è stato attivato
+     */
+    goToStep: function(index) {
+        if (index < 0 || index >= this.steps.length) {
+            return false;
+        }
+        
+        // Si riparte sempre dallo stato iniziale, così il risultato non dipende
+        // dal percorso fatto per arrivare al passo
+        Animator.clear();
+        if (window.ClipPlayer) ClipPlayer.stop();
+        this.restoreBaseState();
+        
+        for (let i = 0; i < index; i++) {
+            if (this.steps[i].clipName && !this.steps[i].error) {
+                ClipPlayer.applyEnd(this.steps[i].clipName);
+                continue;
+            }
+            
+            const clip = this.steps[i].clip;
+            if (!clip) continue;
+            
+            Animator.load(clip);
+            Animator.seek(clip.duration);
+            Animator.clear(); // Lascia i modelli nello stato finale del passo
+        }
+        
+        this.currentStep = index;
+        const step = this.steps[index];
+        
+        if (step.clip) {
+            Animator.load(step.clip);
+        }
+        
+        AppConfig.log(2, `Passo ${step.number}/${this.steps.length}: ${step.title || step.fileName || step.clipName || 'senza animazione'}`);
+        
+        if (this.callbacks.onStepChange) {
+            this.callbacks.onStepChange(index, step);
+        }
+        return true;
+    },
+    
+    /**
+     * Passa al passo successivo
+     */
+    next: function() {
+        return this.goToStep(this.currentStep + 1);
+    },
+    
+    /**
+     * Torna al passo precedente
+     */
+    previous: function() {
+        return this.goToStep(this.currentStep - 1);
+    }
+};
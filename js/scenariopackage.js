@@ -0,0 +1,347 @@
+/**
+ * SCENARIOPACKAGE.JS - Pacchetti scenario in formato ZIP
+ *
+ * Questo modulo gestisce:
+ * - Lettura di archivi .zip nel browser (file memorizzati o compressi deflate)
+ * - Ricerca del file di configurazione scenario (stesso formato di home_config.txt)
+ * - Risoluzione dei percorsi della configurazione verso i file dell'archivio
+ * - Pacchetti registrati come scenari locali, conservati nel browser (IndexedDB)
+ */
+
+window.ScenarioPackage = {
+    
+    /* ===== STATO PACCHETTI ===== */
+    db: null,                      // Database dei pacchetti registrati
+    ready: null,                   // Promise dell'apertura (risolta con true se il database è utilizzabile)
+    dbName: 'campusvt-packages',   // Nome del database
+    
+    /**
+     * Inizializza il modulo (il database viene aperto in background)
+     */
+    init: function() {
+        if (typeof indexedDB === 'undefined') {
+            this.ready = Promise.resolve(false);
+        } else {
+            this.ready = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('packages', { keyPath: 'name' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(db => {
+                this.db = db;
+                return true;
+            }).catch(error => {
+                AppConfig.log(1, `Pacchetti locali non conservabili: ${error.message || error}`);
+                return false;
+            });
+        }
+        
+        AppConfig.log(2, `ScenarioPackage inizializzato${typeof DecompressionStream === 'undefined' ? ' (ZIP compressi non supportati dal browser)' : ''}`);
+    },
+    
+    /* ===== APERTURA PACCHETTO ===== */
+    
+    /**
+     * Legge un pacchetto .zip
+     * @param {File|Blob} file - Archivio
+     * @param {string} name - Nome del pacchetto (default: nome del file)
+     * @returns {Promise} Risolta con il pacchetto { name, configText, configPath, paths, find, read, getUrl, release }
+     */
+    open: function(file, name) {
+        const packageName = name || file.name;
+        
+        return this.readEntries(file).then(entries => {
+            const pkg = this.createPackage(packageName, file, entries);
+            
+            return this.findConfig(pkg).then(config => {
+                if (!config) {
+                    throw new Error('nessun file di configurazione scenario (righe [Nome scenario]) nel pacchetto');
+                }
+                
+                pkg.configPath = config.path;
+                pkg.configText = config.text;
+                AppConfig.log(2, `Pacchetto ${packageName}: ${entries.length} file, configurazione ${config.path}`);
+                return pkg;
+            });
+        });
+    },
+    
+    /**
+     * Crea il pacchetto: i file vengono estratti solo quando servono
+     * @param {Array} entries - Voci dell'archivio (da readEntries)
+     */
+    createPackage: function(name, file, entries) {
+        const byPath = new Map(entries.map(entry => [entry.path.toLowerCase(), entry]));
+        const extracted = new Map();     // Percorso -> Promise del File estratto
+        const urls = [];
+        
+        const pkg = {
+            name: name,
+            configPath: '',
+            configText: '',
+            paths: entries.map(entry => entry.path),
+            
+            /**
+             * Voce dell'archivio per un percorso della configurazione (null se assente)
+             * Il percorso è relativo alla cartella della configurazione; in mancanza si cerca
+             * dalla radice dell'archivio e infine per solo nome, se non ambiguo
+             */
+            find: (path) => {
+                const clean = this.normalizePath(path).toLowerCase();
+                const folder = pkg.configPath.substring(0, pkg.configPath.lastIndexOf('/') + 1).toLowerCase();
+                
+                const direct = byPath.get(folder + clean) || byPath.get(clean);
+                if (direct) return direct;
+                
+                const baseName = clean.split('/').pop();
+                const matches = entries.filter(entry => entry.path.toLowerCase().split('/').pop() === baseName);
+                return matches.length === 1 ? matches[0] : null;
+            },
+            
+            /**
+             * Estrae un file dell'archivio
+             * @returns {Promise} Risolta con il File (nome senza cartella); rifiutata se il file non c'è
+             */
+            read: (path) => {
+                const entry = pkg.find(path);
+                if (!entry) {
+                    return Promise.reject(new Error('file non presente nel pacchetto'));
+                }
+                
+                if (!extracted.has(entry.path)) {
+                    extracted.set(entry.path, this.extract(file, entry));
+                }
+                return extracted.get(entry.path);
+            },
+            
+            /**
+             * URL utilizzabile da <img> per un file dell'archivio ('' se assente)
+             */
+            getUrl: (path) => pkg.read(path).then(entryFile => {
+                const url = URL.createObjectURL(entryFile);
+                urls.push(url);
+                return url;
+            }).catch(() => ''),
+            
+            /**
+             * Libera i file estratti e gli URL creati
+             */
+            release: () => {
+                urls.forEach(url => URL.revokeObjectURL(url));
+                urls.length = 0;
+                extracted.clear();
+            }
+        };
+        
+        return pkg;
+    },
+    
+    /**
+     * Cerca la configurazione: il primo .txt/.cfg (dal meno annidato) con almeno una riga [Nome scenario]
+     * I file animazione sono anch'essi .txt, ma non hanno intestazioni tra parentesi quadre
+     */
+    findConfig: function(pkg) {
+        const candidates = pkg.paths
+            .filter(path => /\.(txt|cfg)$/i.test(path))
+            .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+        
+        const tryNext = (index) => {
+            if (index >= candidates.length) return Promise.resolve(null);
+            
+            const path = candidates[index];
+            return pkg.read(path)
+                .then(file => file.text())
+                .then(text => (/^\s*\[[^\]]+\]\s*$/m.test(text) ? { path: path, text: text } : tryNext(index + 1)));
+        };
+        
+        return tryNext(0);
+    },
+    
+    /* ===== LETTURA ZIP ===== */
+    
+    /**
+     * Legge l'elenco dei file dalla directory centrale dell'archivio
+     * Vengono letti solo indice e intestazioni: i contenuti restano nel file fino all'estrazione
+     * @returns {Promise} Risolta con le voci { path, method, offset, compressedSize, size }
+     */
+    readEntries: function(file) {
+        // Record di fine archivio: 22 byte più un commento facoltativo fino a 65535 byte
+        const tailStart = Math.max(0, file.size - 22 - 65535);
+        
+        return file.slice(tailStart).arrayBuffer().then(tail => {
+            const view = new DataView(tail);
+            let end = -1;
+            for (let i = tail.byteLength - 22; i >= 0; i--) {
+                if (view.getUint32(i, true) === 0x06054b50) {
+                    end = i;
+                    break;
+                }
+            }
+            if (end < 0) {
+                throw new Error('il file non è un archivio ZIP valido');
+            }
+            
+            const count = view.getUint16(end + 10, true);
+            const directorySize = view.getUint32(end + 12, true);
+            const directoryOffset = view.getUint32(end + 16, true);
+            if (count === 0xffff || directoryOffset === 0xffffffff) {
+                throw new Error('archivi ZIP64 (oltre 4GB o 65535 file) non supportati');
+            }
+            
+            return file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+                .then(directory => this.parseDirectory(directory, count));
+        }).then(entries => Promise.all(entries.map(entry => this.locateData(file, entry))));
+    },
+    
+    /**
+     * Analizza la directory centrale
+     */
+    parseDirectory: function(buffer, count) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const entries = [];
+        let position = 0;
+        
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > buffer.byteLength || view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('directory dell\'archivio ZIP danneggiata');
+            }
+            
+            const flags = view.getUint16(position + 8, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            
+            // Bit 11: nome in UTF-8; altrimenti CP437, di cui i nomi ASCII sono un sottoinsieme
+            const nameBytes = bytes.subarray(position + 46, position + 46 + nameLength);
+            const path = new TextDecoder(flags & 0x800 ? 'utf-8' : 'windows-1252').decode(nameBytes);
+            
+            const entry = {
+                path: this.normalizePath(path),
+                method: view.getUint16(position + 10, true),
+                compressedSize: view.getUint32(position + 20, true),
+                size: view.getUint32(position + 24, true),
+                headerOffset: view.getUint32(position + 42, true),
+                encrypted: (flags & 0x1) !== 0
+            };
+            position += 46 + nameLength + extraLength + commentLength;
+            
+            // Cartelle e file di sistema di macOS non servono
+            if (path.endsWith('/') || entry.path.startsWith('__MACOSX/')) continue;
+            entries.push(entry);
+        }
+        
+        return entries;
+    },
+    
+    /**
+     * Calcola l'inizio dei dati di una voce dall'intestazione locale (lunghezze proprie)
+     */
+    locateData: function(file, entry) {
+        return file.slice(entry.headerOffset, entry.headerOffset + 30).arrayBuffer().then(header => {
+            const view = new DataView(header);
+            if (header.byteLength < 30 || view.getUint32(0, true) !== 0x04034b50) {
+                throw new Error(`intestazione di ${entry.path} danneggiata`);
+            }
+            
+            entry.offset = entry.headerOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+            return entry;
+        });
+    },
+    
+    /**
+     * Estrae una voce dell'archivio
+     * @returns {Promise} Risolta con un File che ha il nome del file senza cartella
+     */
+    extract: function(file, entry) {
+        const name = entry.path.split('/').pop();
+        const data = file.slice(entry.offset, entry.offset + entry.compressedSize);
+        
+        if (entry.encrypted) {
+            return Promise.reject(new Error(`${entry.path}: file cifrati non supportati`));
+        }
+        
+        // Metodo 0: memorizzato senza compressione
+        if (entry.method === 0) {
+            return Promise.resolve(new File([data], name));
+        }
+        
+        if (entry.method !== 8) {
+            return Promise.reject(new Error(`${entry.path}: compressione ${entry.method} non supportata (usare deflate)`));
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('il browser non supporta la decompressione degli archivi ZIP'));
+        }
+        
+        // Metodo 8: deflate senza intestazioni zlib
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).blob().then(blob => {
+            if (blob.size !== entry.size) {
+                throw new Error(`${entry.path}: estrazione incompleta (${blob.size} di ${entry.size} byte)`);
+            }
+            return new File([blob], name);
+        });
+    },
+    
+    /**
+     * Percorso con "/" e senza "./" o "/" iniziali
+     */
+    normalizePath: function(path) {
+        return path.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+    },
+    
+    /* ===== PACCHETTI REGISTRATI ===== */
+    
+    /**
+     * Conserva un pacchetto nel browser (sostituisce quello con lo stesso nome)
+     */
+    save: function(file, name) {
+        return this.ready.then(available => {
+            if (!available) return false;
+            
+            const transaction = this.db.transaction('packages', 'readwrite');
+            transaction.objectStore('packages').put({ name: name || file.name, blob: file, added: Date.now() });
+            return this.complete(transaction).then(() => true);
+        });
+    },
+    
+    /**
+     * Pacchetti conservati, dal meno recente
+     * @returns {Promise} Risolta con [{ name, blob, added }]
+     */
+    list: function() {
+        return this.ready.then(available => {
+            if (!available) return [];
+            
+            return new Promise((resolve, reject) => {
+                const request = this.db.transaction('packages', 'readonly').objectStore('packages').getAll();
+                request.onsuccess = () => resolve(request.result.sort((a, b) => a.added - b.added));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    },
+    
+    /**
+     * Elimina un pacchetto conservato
+     */
+    remove: function(name) {
+        return this.ready.then(available => {
+            if (!available) return;
+            
+            const transaction = this.db.transaction('packages', 'readwrite');
+            transaction.objectStore('packages').delete(name);
+            return this.complete(transaction);
+        });
+    },
+    
+    /**
+     * Promise risolta al termine di una transazione IndexedDB
+     */
+    complete: function(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('transazione annullata'));
+        });
+    }
+};
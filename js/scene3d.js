@@ -7,6 +7,7 @@
  * - Caricamento e gestione modelli 3D
  * - Controlli camera e interazione mouse
  * - Auto-fit e zoom automatico sui modelli
+ * - Viste predefinite, cubo delle viste e transizioni animate della camera
  */
 
 /* ===== VARIABILI GLOBALI SCENA ===== */
@@ -24,7 +25,9 @@ window.Scene3D = {
     mouseControls: {
         isMouseDown: false,        // Stato pulsante mouse
         mouseButton: 0,            // Quale pulsante è premuto (0=sinistra, 2=destra)
+        isDraggingModel: false,    // Il gesto sposta un modello (modalità autore)
         lastPosition: { x: 0, y: 0 }, // Ultima posizione mouse
+        lastTap: null,             // Ultimo tocco con un dito { time, x, y } per il doppio tocco
         sensitivity: {
             rotation: 0.01,        // Sensibilità rotazione
             pan: 0.002,            // Sensibilità spostamento
@@ -32,9 +35,49 @@ window.Scene3D = {
         }
     },
     
+    // Punto attorno a cui ruota la camera (spostato da pan, auto-fit e doppio clic)
+    target: null,
+    
+    // Dimensione della scena (lato maggiore del bounding box dei modelli): scala zoom e pan
+    sceneSize: 1,
+    
+    // Movimento della camera ancora da applicare, smaltito a ogni frame (AppConfig.controls.damping)
+    cameraMotion: { rotateX: 0, rotateY: 0, panX: 0, panY: 0, zoom: 0 },
+    
     // Vista salvata per reset
     savedView: null,
     
+    // Viste predefinite: direzione da cui la camera guarda il centro dei modelli
+    viewPresets: {
+        front:  { label: 'Fronte',     direction: [0, 0, 1] },
+        back:   { label: 'Retro',      direction: [0, 0, -1] },
+        right:  { label: 'Destra',     direction: [1, 0, 0] },
+        left:   { label: 'Sinistra',   direction: [-1, 0, 0] },
+        top:    { label: 'Alto',       direction: [0, 1, 0] },
+        bottom: { label: 'Basso',      direction: [0, -1, 0] },
+        iso:    { label: 'Isometrica', direction: [1, 1, 1] }
+    },
+    
+    // Viste dello scenario (righe view= di home_config.txt); la prima è quella di default
+    views: [],
+    defaultView: null,
+    
+    // Transizione animata in corso { from, to, elapsed, duration }
+    cameraTransition: null,
+    
+    // Cubo delle viste (elemento HTML ruotato come la camera)
+    viewCube: null,
+    viewCubeQuaternion: null,
+    
+    // Orologio per calcolare il tempo tra i frame
+    clock: null,
+    
+    // Controlli camera disattivati (es. durante un'animazione con camera bloccata)
+    cameraLocked: false,
+    
+    // Mixer delle clip glTF, uno per ogni modello che ne contiene
+    mixers: [],                    // Voci { model, mixer }
+    
     // Canvas HTML
     canvas: null,
 
@@ -114,8 +157,9 @@ window.Scene3D = {
             config.initialPosition.z
         );
         
-        // La camera guarda verso l'origine
-        this.camera.lookAt(0, 0, 0);
+        // La camera guarda verso l'origine, primo punto di rotazione
+        this.target = new THREE.Vector3(0, 0, 0);
+        this.camera.lookAt(this.target);
         
         AppConfig.log(3, 'Camera configurata', {
             fov: config.fov,
@@ -229,6 +273,7 @@ window.Scene3D = {
         canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
         canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
         canvas.addEventListener('wheel', this.onMouseWheel.bind(this));
+        canvas.addEventListener('dblclick', this.onDoubleClick.bind(this));
         
         // Event listener per touch (dispositivi mobili)
         canvas.addEventListener('touchstart', this.onTouchStart.bind(this));
@@ -240,6 +285,9 @@ window.Scene3D = {
             e.preventDefault();
         });
         
+        // Cubo delle viste sovrapposto al canvas (opzionale)
+        this.viewCube = document.getElementById('viewCubeBody');
+        
         AppConfig.log(3, 'Controlli mouse inizializzati');
     },
     
@@ -247,8 +295,14 @@ window.Scene3D = {
      * Gestisce l'evento mousedown
      */
     onMouseDown: function(event) {
+        if (!this.beginUserCameraInput(event)) return;
+        
         this.mouseControls.isMouseDown = true;
         this.mouseControls.mouseButton = event.button;
+        
+        // In modalità autore il tasto sinistro su un modello lo trascina
+        this.mouseControls.isDraggingModel = event.button === 0 &&
+            this.startModelDrag(event.clientX, event.clientY);
         this.mouseControls.lastPosition.x = event.clientX;
         this.mouseControls.lastPosition.y = event.clientY;
         
@@ -262,6 +316,11 @@ window.Scene3D = {
     onMouseMove: function(event) {
         if (!this.mouseControls.isMouseDown) return;
         
+        if (this.mouseControls.isDraggingModel) {
+            window.AnimationRecorder.dragTo(event.clientX, event.clientY);
+            return;
+        }
+        
         // Calcola il delta movimento
         const deltaX = event.clientX - this.mouseControls.lastPosition.x;
         const deltaY = event.clientY - this.mouseControls.lastPosition.y;
@@ -284,17 +343,67 @@ window.Scene3D = {
      */
     onMouseUp: function(event) {
         this.mouseControls.isMouseDown = false;
+        this.endModelDrag();
     },
     
     /**
      * Gestisce l'evento wheel (zoom)
      */
     onMouseWheel: function(event) {
+        if (!this.beginUserCameraInput(event)) return;
+        
         const delta = event.deltaY * this.mouseControls.sensitivity.zoom;
         this.zoomCamera(delta);
         event.preventDefault();
     },
     
+    /**
+     * Gestisce il doppio clic: il punto del modello sotto il puntatore diventa il centro di rotazione
+     */
+    onDoubleClick: function(event) {
+        if (!this.beginUserCameraInput(event)) return;
+        
+        this.retargetAt(event.clientX, event.clientY);
+        event.preventDefault();
+    },
+    
+    /**
+     * Verifica se l'utente può muovere la camera e avvisa l'animazione in corso
+     * @returns {boolean} False se la camera è bloccata
+     */
+    beginUserCameraInput: function(event) {
+        if (this.cameraLocked) {
+            event.preventDefault();
+            return false;
+        }
+        
+        // L'utente riprende la camera: la transizione verso una vista si interrompe
+        this.cameraTransition = null;
+        
+        if (window.Animator) {
+            window.Animator.onUserCameraInput();
+        }
+        return true;
+    },
+    
+    /**
+     * Chiede alla registrazione animazioni di prendere un modello sotto il puntatore
+     * @returns {boolean} True se il gesto sposta un modello invece della camera
+     */
+    startModelDrag: function(clientX, clientY) {
+        return !!window.AnimationRecorder && window.AnimationRecorder.startDrag(clientX, clientY);
+    },
+    
+    /**
+     * Termina l'eventuale trascinamento di un modello
+     */
+    endModelDrag: function() {
+        if (this.mouseControls.isDraggingModel) {
+            window.AnimationRecorder.endDrag();
+            this.mouseControls.isDraggingModel = false;
+        }
+    },
+    
     /* ===== CONTROLLI TOUCH (MOBILE) ===== */
     
     /**
@@ -306,6 +415,8 @@ window.Scene3D = {
     },
     
     onTouchStart: function(event) {
+        if (!this.beginUserCameraInput(event)) return;
+        
         if (event.touches.length === 1) {
             // Un dito: comportamento basato sulla modalità selezionata
             this.mouseControls.isMouseDown = true;
@@ -316,6 +427,15 @@ window.Scene3D = {
             const mobileMode = this.getMobileMode();
             this.mouseControls.mobileMode = mobileMode;
             
+            // Doppio tocco: come il doppio clic, cambia il centro di rotazione
+            if (this.isDoubleTap(event.touches[0])) {
+                this.retargetAt(event.touches[0].clientX, event.touches[0].clientY);
+            }
+            
+            // In modalità autore un dito su un modello lo trascina
+            this.mouseControls.isDraggingModel =
+                this.startModelDrag(event.touches[0].clientX, event.touches[0].clientY);
+            
         } else if (event.touches.length === 2) {
             // Due diti: setup per pinch zoom e rotazione
             this.mouseControls.isMouseDown = false;
@@ -338,7 +458,9 @@ window.Scene3D = {
     },
     
     onTouchMove: function(event) {
-        if (event.touches.length === 1 && this.mouseControls.isMouseDown) {
+        if (event.touches.length === 1 && this.mouseControls.isDraggingModel) {
+            window.AnimationRecorder.dragTo(event.touches[0].clientX, event.touches[0].clientY);
+        } else if (event.touches.length === 1 && this.mouseControls.isMouseDown) {
             // Un dito: comportamento basato sulla modalità selezionata
             const deltaX = event.touches[0].clientX - this.mouseControls.lastPosition.x;
             const deltaY = event.touches[0].clientY - this.mouseControls.lastPosition.y;
@@ -405,8 +527,27 @@ window.Scene3D = {
         event.preventDefault();
     },
     
+    /**
+     * Riconosce il secondo di due tocchi ravvicinati nel tempo e nello spazio
+     * @returns {boolean} True se il tocco completa un doppio tocco
+     */
+    isDoubleTap: function(touch) {
+        const now = Date.now();
+        const last = this.mouseControls.lastTap;
+        
+        if (last && now - last.time < 300 &&
+            Math.abs(touch.clientX - last.x) < 20 && Math.abs(touch.clientY - last.y) < 20) {
+            this.mouseControls.lastTap = null;
+            return true;
+        }
+        
+        this.mouseControls.lastTap = { time: now, x: touch.clientX, y: touch.clientY };
+        return false;
+    },
+    
     onTouchEnd: function(event) {
         this.mouseControls.isMouseDown = false;
+        this.endModelDrag();
         
         // Reset valori touch quando non ci sono più dita sullo schermo
         if (event.touches.length === 0) {
@@ -420,10 +561,89 @@ window.Scene3D = {
     /* ===== MOVIMENTO CAMERA ===== */
     
     /**
-     * Sposta la camera (pan)
+     * Sposta la camera (pan) insieme al centro di rotazione
      */
     panCamera: function(deltaX, deltaY) {
-        const sensitivity = this.mouseControls.sensitivity.pan;
+        if (!this.isDampingEnabled()) {
+            this.applyPan(deltaX, deltaY);
+            return;
+        }
+        this.cameraMotion.panX += deltaX;
+        this.cameraMotion.panY += deltaY;
+    },
+    
+    /**
+     * Ruota la camera attorno al centro di rotazione
+     */
+    rotateCamera: function(deltaX, deltaY) {
+        if (!this.isDampingEnabled()) {
+            this.applyRotation(deltaX, deltaY);
+            return;
+        }
+        this.cameraMotion.rotateX += deltaX;
+        this.cameraMotion.rotateY += deltaY;
+    },
+    
+    /**
+     * Zoom della camera: avvicina o allontana dal centro di rotazione
+     * @param {number} delta - Positivo avvicina: ogni unità dimezza la distanza
+     */
+    zoomCamera: function(delta) {
+        if (!this.isDampingEnabled()) {
+            this.applyZoom(delta);
+            return;
+        }
+        this.cameraMotion.zoom += delta;
+    },
+    
+    /**
+     * Verifica se i movimenti della camera vengono smorzati
+     */
+    isDampingEnabled: function() {
+        const damping = AppConfig.controls.damping;
+        return damping.enabled && damping.factor > 0 && damping.factor < 1;
+    },
+    
+    /**
+     * Applica una parte del movimento in sospeso, in proporzione al tempo trascorso
+     * Con factor 0.05 a 60 fps ogni frame applica il 5% di quanto resta
+     * @param {number} deltaMs - Millisecondi trascorsi dall'ultimo frame
+     */
+    updateCameraMotion: function(deltaMs) {
+        const motion = this.cameraMotion;
+        if (!motion.rotateX && !motion.rotateY && !motion.panX && !motion.panY && !motion.zoom) return;
+        
+        const remaining = Math.pow(1 - AppConfig.controls.damping.factor, deltaMs / (1000 / 60));
+        const share = 1 - remaining;
+        
+        this.applyRotation(motion.rotateX * share, motion.rotateY * share);
+        this.applyPan(motion.panX * share, motion.panY * share);
+        this.applyZoom(motion.zoom * share);
+        
+        // Sotto un centesimo di pixel (o di unità di zoom) il movimento è finito
+        Object.keys(motion).forEach(key => {
+            motion[key] *= remaining;
+            if (Math.abs(motion[key]) < 0.01) motion[key] = 0;
+        });
+    },
+    
+    /**
+     * Annulla il movimento in sospeso e la transizione in corso (la camera viene posizionata dal codice)
+     */
+    stopCameraMotion: function() {
+        Object.keys(this.cameraMotion).forEach(key => {
+            this.cameraMotion[key] = 0;
+        });
+        this.cameraTransition = null;
+    },
+    
+    /**
+     * Sposta camera e centro di rotazione
+     * Lo spostamento per pixel cresce con la distanza dal centro, così vale per viti e macchinari
+     */
+    applyPan: function(deltaX, deltaY) {
+        const distance = this.camera.position.distanceTo(this.target);
+        const sensitivity = this.mouseControls.sensitivity.pan * distance;
         
         // Calcola la direzione di movimento basata sull'orientamento della camera
         const vector = new THREE.Vector3();
@@ -436,46 +656,118 @@ window.Scene3D = {
         
         vector.add(vector2);
         this.camera.position.add(vector);
+        this.target.add(vector);
     },
     
     /**
-     * Ruota la camera attorno all'origine
+     * Ruota la camera attorno al centro di rotazione
      */
-    rotateCamera: function(deltaX, deltaY) {
+    applyRotation: function(deltaX, deltaY) {
         const sensitivity = this.mouseControls.sensitivity.rotation;
+        const maxPolarAngle = AppConfig.controls.limits.maxPolarAngle;
         
-        // Rotazione orizzontale (attorno all'asse Y)
+        // Posizione della camera rispetto al centro, in coordinate sferiche
+        const offset = this.camera.position.clone().sub(this.target);
         const spherical = new THREE.Spherical();
-        spherical.setFromVector3(this.camera.position);
+        spherical.setFromVector3(offset);
         spherical.theta -= deltaX * sensitivity;
         spherical.phi += deltaY * sensitivity;
         
-        // Limita l'angolo verticale per evitare gimbal lock
-        spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi));
+        // Limita l'angolo verticale al valore configurato e per evitare gimbal lock
+        spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, maxPolarAngle, spherical.phi));
         
-        this.camera.position.setFromSpherical(spherical);
-        this.camera.lookAt(0, 0, 0);
+        offset.setFromSpherical(spherical);
+        this.camera.position.copy(this.target).add(offset);
+        this.camera.lookAt(this.target);
     },
     
     /**
-     * Zoom della camera
+     * Avvicina o allontana la camera dal centro di rotazione
+     * Lo zoom è proporzionale alla distanza, entro i limiti ricavati dalla dimensione della scena
      */
-    zoomCamera: function(delta) {
-        const direction = new THREE.Vector3();
-        this.camera.getWorldDirection(direction);
-        direction.multiplyScalar(delta);
-        this.camera.position.add(direction);
+    applyZoom: function(delta) {
+        const offset = this.camera.position.clone().sub(this.target);
+        const limits = this.getZoomLimits();
+        const distance = Math.max(limits.min, Math.min(limits.max, offset.length() * Math.pow(0.5, delta)));
+        
+        // Il centro non viene mai superato: la camera resta dalla sua parte
+        this.camera.position.copy(this.target).add(offset.setLength(distance));
+    },
+    
+    /**
+     * Distanza minima e massima della camera dal centro di rotazione
+     * AppConfig.controls.limits le indica in multipli della dimensione della scena
+     * @returns {Object} { min, max } nell'unità della scena
+     */
+    getZoomLimits: function() {
+        const limits = AppConfig.controls.limits;
+        return {
+            min: limits.minZoom * this.sceneSize,
+            max: limits.maxZoom * this.sceneSize
+        };
+    },
+    
+    /**
+     * Ricalcola la dimensione della scena dai modelli caricati
+     * Near e far della camera si adattano ai limiti di zoom, così anche i pezzi piccoli restano visibili da vicino
+     */
+    updateSceneSize: function() {
+        const box = new THREE.Box3();
+        this.loadedModels.forEach(model => box.expandByObject(model));
         
-        // Limita la distanza minima e massima per controllare lo zoom
-        const distance = this.camera.position.length();
-        const minDistance = 1.0;  // Zoom minimo (più vicino)
-        const maxDistance = 10.0; // Zoom massimo (più lontano)
+        const size = box.isEmpty() ? new THREE.Vector3() : box.getSize(new THREE.Vector3());
+        this.sceneSize = Math.max(size.x, size.y, size.z) || 1;
         
-        if (distance < minDistance) {
-            this.camera.position.normalize().multiplyScalar(minDistance);
-        } else if (distance > maxDistance) {
-            this.camera.position.normalize().multiplyScalar(maxDistance);
-        }
+        const config = AppConfig.scene3D.camera;
+        const limits = this.getZoomLimits();
+        this.camera.near = Math.min(config.near, limits.min / 10);
+        this.camera.far = Math.max(config.far, limits.max * 2);
+        this.camera.updateProjectionMatrix();
+        
+        AppConfig.log(3, 'Dimensione scena aggiornata', {
+            sceneSize: this.sceneSize,
+            zoomLimits: limits
+        });
+    },
+    
+    /**
+     * Sposta il centro di rotazione sul punto dei modelli sotto il puntatore
+     * La camera resta ferma e si gira verso il nuovo centro
+     * @returns {boolean} True se il puntatore era sopra un modello
+     */
+    retargetAt: function(clientX, clientY) {
+        const point = this.pickPoint(clientX, clientY);
+        if (!point) return false;
+        
+        this.stopCameraMotion();
+        this.target.copy(point);
+        this.camera.lookAt(this.target);
+        
+        AppConfig.log(3, 'Nuovo centro di rotazione', point);
+        return true;
+    },
+    
+    /**
+     * Primo punto visibile dei modelli sotto un punto dello schermo
+     * @returns {THREE.Vector3|null} Punto in coordinate mondo, null se non c'è nessun modello
+     */
+    pickPoint: function(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        // Il raycaster non considera la visibilità: si scartano i nodi nascosti
+        const hit = raycaster.intersectObjects(this.loadedModels, true).find(candidate => {
+            let node = candidate.object;
+            while (node && node.visible) node = node.parent;
+            return !node;
+        });
+        return hit ? hit.point : null;
     },
     
     /* ===== GESTIONE MODELLI ===== */
@@ -505,6 +797,12 @@ window.Scene3D = {
         this.scene.add(model);
         this.loadedModels.push(model);
         this.currentModel = model;
+        this.updateSceneSize();
+        
+        // Le clip glTF vengono riprodotte da un mixer dedicato
+        if (model.animations && model.animations.length > 0) {
+            this.createMixer(model);
+        }
         
         // Auto-fit solo per il primo modello o per tutti insieme
         if (this.loadedModels.length === 1) {
@@ -519,10 +817,32 @@ window.Scene3D = {
         });
     },
     
+    /**
+     * Crea il mixer che anima le clip incorporate in un modello
+     */
+    createMixer: function(model) {
+        const mixer = new THREE.AnimationMixer(model);
+        
+        mixer.addEventListener('finished', (event) => {
+            if (window.ClipPlayer) {
+                window.ClipPlayer.onFinished(event);
+            }
+        });
+        
+        this.mixers.push({ model, mixer });
+        AppConfig.log(2, `Clip glTF in ${model.name}: ${model.animations.map(clip => clip.name).join(', ')}`);
+    },
+    
     /**
      * Rimuove tutti i modelli dalla scena
      */
     clearAllModels: function() {
+        this.mixers.forEach(entry => {
+            entry.mixer.stopAllAction();
+            entry.mixer.uncacheRoot(entry.model);
+        });
+        this.mixers = [];
+        
         this.loadedModels.forEach(model => {
             this.scene.remove(model);
             // Libera la memoria dei materiali e geometrie
@@ -531,6 +851,7 @@ window.Scene3D = {
         
         this.loadedModels = [];
         this.currentModel = null;
+        this.updateSceneSize();
         
         AppConfig.log(2, 'Tutti i modelli rimossi dalla scena');
     },
@@ -544,14 +865,19 @@ window.Scene3D = {
                 child.geometry.dispose();
             }
             if (child.material) {
-                // Controlla se map esiste e ha la funzione dispose
-                if (child.material.map && typeof child.material.map.dispose === 'function') {
-                    child.material.map.dispose();
-                }
-                // Controlla se il materiale ha la funzione dispose
-                if (typeof child.material.dispose === 'function') {
-                    child.material.dispose();
-                }
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    // Libera tutte le texture (map, normalMap, roughnessMap... dei materiali PBR)
+                    Object.values(material).forEach(value => {
+                        if (value && value.isTexture) {
+                            value.dispose();
+                        }
+                    });
+                    // Controlla se il materiale ha la funzione dispose
+                    if (typeof material.dispose === 'function') {
+                        material.dispose();
+                    }
+                });
             }
         });
     },
@@ -574,13 +900,14 @@ window.Scene3D = {
         cameraZ *= 1.5;
         
         // Assicurati che la distanza calcolata rientri nei limiti di zoom
-        const minDistance = 1.0;
-        const maxDistance = 10.0;
-        cameraZ = Math.max(minDistance, Math.min(maxDistance, cameraZ));
+        const limits = this.getZoomLimits();
+        cameraZ = Math.max(limits.min, Math.min(limits.max, cameraZ));
         
-        // Posiziona la camera
+        // Posiziona la camera e ruota attorno al centro del bounding box
+        this.stopCameraMotion();
+        this.target.copy(center);
         this.camera.position.set(center.x, center.y, center.z + cameraZ);
-        this.camera.lookAt(center);
+        this.camera.lookAt(this.target);
         
         console.log('📐 Vista adattata al modello:', {
             size: size,
@@ -619,13 +946,14 @@ window.Scene3D = {
         cameraZ *= 2.0;
         
         // Assicurati che la distanza rientri nei limiti di zoom
-        const minDistance = 1.0;
-        const maxDistance = 10.0;
-        cameraZ = Math.max(minDistance, Math.min(maxDistance, cameraZ));
+        const limits = this.getZoomLimits();
+        cameraZ = Math.max(limits.min, Math.min(limits.max, cameraZ));
         
-        // Posiziona la camera
+        // Posiziona la camera e ruota attorno al centro del bounding box
+        this.stopCameraMotion();
+        this.target.copy(center);
         this.camera.position.set(center.x, center.y, center.z + cameraZ);
-        this.camera.lookAt(center);
+        this.camera.lookAt(this.target);
         
         console.log('📐 Vista adattata a tutti i modelli:', {
             modelli: this.loadedModels.length,
@@ -692,12 +1020,42 @@ window.Scene3D = {
 
     /* ===== VISTA E RESET ===== */
     
+    /**
+     * Restituisce la vista corrente della camera
+     * @returns {Object} { position, target, fov } (target è il centro di rotazione)
+     */
+    getCameraView: function() {
+        return {
+            position: this.camera.position.clone(),
+            target: this.target.clone(),
+            fov: this.camera.fov
+        };
+    },
+    
+    /**
+     * Imposta posizione, punto osservato e campo visivo della camera
+     * Il punto osservato diventa il centro di rotazione
+     */
+    setCameraView: function(position, target, fov) {
+        // Anche un'eventuale transizione verso una vista si interrompe
+        this.stopCameraMotion();
+        this.camera.position.copy(position);
+        this.target.copy(target);
+        this.camera.lookAt(this.target);
+        
+        if (fov !== undefined && fov !== this.camera.fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    },
+    
     /**
      * Salva la vista corrente
      */
     saveCurrentView: function() {
         this.savedView = {
             position: this.camera.position.clone(),
+            target: this.target.clone(),
             rotation: this.camera.rotation.clone(),
             zoom: this.camera.zoom
         };
@@ -706,29 +1064,218 @@ window.Scene3D = {
     },
     
     /**
-     * Ripristina la vista salvata
+     * Ripristina la vista di default: quella dello scenario, altrimenti i modelli visti di fronte
+     * Senza modelli torna alla vista salvata all'avvio
      */
     resetView: function() {
+        if (this.loadedModels.length > 0) {
+            this.showView(this.defaultView || 'front');
+            return;
+        }
+        
         if (!this.savedView) {
             AppConfig.log(1, 'Nessuna vista salvata da ripristinare');
             return;
         }
         
+        this.stopCameraMotion();
         this.camera.position.copy(this.savedView.position);
+        this.target.copy(this.savedView.target);
         this.camera.rotation.copy(this.savedView.rotation);
         this.camera.zoom = this.savedView.zoom;
         
         AppConfig.log(2, 'Vista ripristinata');
     },
     
+    /* ===== VISTE PREDEFINITE ===== */
+    
+    /**
+     * Imposta le viste dello scenario; la prima diventa quella di default
+     * @param {Array} views - Voci { name, preset } oppure { name, position, target }
+     */
+    setViews: function(views) {
+        this.views = views || [];
+        this.defaultView = this.views.length > 0 ? this.views[0] : null;
+    },
+    
+    /**
+     * Porta la camera su una vista con una transizione animata
+     * @param {string|Object} view - Nome di una vista predefinita (front, top, iso...) o vista dello scenario
+     * @returns {boolean} False se la camera è bloccata o la vista non è valida
+     */
+    showView: function(view) {
+        if (this.cameraLocked) return false;
+        
+        const resolved = this.resolveView(view);
+        if (!resolved) {
+            AppConfig.log(1, 'Vista non valida', view);
+            return false;
+        }
+        
+        // Come un gesto dell'utente: la camera dell'animazione in corso viene sospesa
+        if (window.Animator) {
+            window.Animator.onUserCameraInput();
+        }
+        
+        this.animateCameraTo(resolved.position, resolved.target, AppConfig.animations.transitions.cameraMove);
+        return true;
+    },
+    
+    /**
+     * Calcola posizione e punto osservato di una vista
+     * @returns {Object|null} { position, target }, null se la vista non esiste
+     */
+    resolveView: function(view) {
+        if (typeof view === 'string') {
+            return this.getPresetView(view);
+        }
+        if (view && view.preset) {
+            return this.getPresetView(view.preset);
+        }
+        if (view && view.position && view.target) {
+            return {
+                position: new THREE.Vector3(view.position.x, view.position.y, view.position.z),
+                target: new THREE.Vector3(view.target.x, view.target.y, view.target.z)
+            };
+        }
+        return null;
+    },
+    
+    /**
+     * Vista predefinita che inquadra i modelli visibili (tutti se sono nascosti)
+     * La distanza contiene la sfera attorno ai modelli, qualunque sia la direzione
+     * @param {string} name - Chiave di viewPresets
+     * @returns {Object|null} { position, target }
+     */
+    getPresetView: function(name) {
+        const preset = this.viewPresets[name];
+        if (!preset) return null;
+        
+        const direction = new THREE.Vector3().fromArray(preset.direction).normalize();
+        const visible = this.loadedModels.filter(model => model.visible);
+        const models = visible.length > 0 ? visible : this.loadedModels;
+        
+        if (models.length === 0) {
+            // Nessun modello: stessa distanza dal centro di rotazione attuale
+            const distance = this.camera.position.distanceTo(this.target);
+            return {
+                position: this.target.clone().addScaledVector(direction, distance),
+                target: this.target.clone()
+            };
+        }
+        
+        const box = new THREE.Box3();
+        models.forEach(model => box.expandByObject(model));
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        
+        // Il campo visivo più stretto tra verticale e orizzontale decide la distanza
+        const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        const limits = this.getZoomLimits();
+        const distance = Math.max(limits.min, Math.min(limits.max,
+            sphere.radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2)));
+        
+        return {
+            position: sphere.center.clone().addScaledVector(direction, distance),
+            target: sphere.center.clone()
+        };
+    },
+    
+    /**
+     * Avvia la transizione animata verso una vista
+     * La camera gira attorno al punto osservato invece di attraversare la scena
+     * @param {number} duration - Durata in millisecondi (0 = immediata)
+     */
+    animateCameraTo: function(position, target, duration) {
+        this.stopCameraMotion();
+        
+        const fromOffset = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(this.target));
+        const toOffset = new THREE.Spherical().setFromVector3(position.clone().sub(target));
+        
+        // La rotazione orizzontale segue il verso più breve
+        const turn = toOffset.theta - fromOffset.theta;
+        toOffset.theta = fromOffset.theta + Math.atan2(Math.sin(turn), Math.cos(turn));
+        
+        this.cameraTransition = {
+            from: { target: this.target.clone(), offset: fromOffset },
+            to: { target: target.clone(), offset: toOffset },
+            position: position.clone(),
+            elapsed: 0,
+            duration: duration
+        };
+        this.updateCameraTransition(0);
+    },
+    
+    /**
+     * Avanza la transizione animata della camera (ease-in-out)
+     * @param {number} deltaMs - Millisecondi trascorsi dall'ultimo frame
+     */
+    updateCameraTransition: function(deltaMs) {
+        const transition = this.cameraTransition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaMs;
+        const alpha = transition.duration > 0 ? Math.min(1, transition.elapsed / transition.duration) : 1;
+        
+        if (alpha >= 1) {
+            this.cameraTransition = null;
+            this.target.copy(transition.to.target);
+            this.camera.position.copy(transition.position);
+            this.camera.lookAt(this.target);
+            return;
+        }
+        
+        const eased = alpha * alpha * (3 - 2 * alpha);
+        const from = transition.from.offset;
+        const to = transition.to.offset;
+        
+        // Distanza interpolata in proporzione, così i cambi di scala restano graduali
+        const radius = from.radius > 0 && to.radius > 0
+            ? from.radius * Math.pow(to.radius / from.radius, eased)
+            : THREE.MathUtils.lerp(from.radius, to.radius, eased);
+        const offset = new THREE.Vector3().setFromSpherical(new THREE.Spherical(
+            radius,
+            THREE.MathUtils.lerp(from.phi, to.phi, eased),
+            THREE.MathUtils.lerp(from.theta, to.theta, eased)
+        ));
+        
+        this.target.lerpVectors(transition.from.target, transition.to.target, eased);
+        this.camera.position.copy(this.target).add(offset);
+        this.camera.lookAt(this.target);
+    },
+    
+    /**
+     * Ruota il cubo delle viste come la scena vista dalla camera
+     */
+    updateViewCube: function() {
+        if (!this.viewCube) return;
+        
+        const quaternion = this.camera.quaternion;
+        if (this.viewCubeQuaternion && this.viewCubeQuaternion.equals(quaternion)) return;
+        this.viewCubeQuaternion = quaternion.clone();
+        
+        // Rotazione dal mondo alla camera; in CSS l'asse Y va verso il basso,
+        // quindi si invertono i termini che legano Y agli altri assi
+        const elements = new THREE.Matrix4().makeRotationFromQuaternion(quaternion.clone().invert()).elements;
+        const values = elements.map((value, index) => {
+            const flipped = index === 1 || index === 4 || index === 6 || index === 9 ? -value : value;
+            return Math.abs(flipped) < 1e-10 ? 0 : flipped;
+        });
+        
+        this.viewCube.style.transform = `matrix3d(${values.join(',')})`;
+    },
+    
     /* ===== RENDERING ===== */
     
     /**
      * Avvia il loop di rendering
      */
     startRenderLoop: function() {
+        this.clock = new THREE.Clock();
+        
         const animate = () => {
             requestAnimationFrame(animate);
+            this.update(this.clock.getDelta() * 1000);
             this.render();
         };
         
@@ -736,12 +1283,29 @@ window.Scene3D = {
         AppConfig.log(3, 'Loop di rendering avviato');
     },
     
+    /**
+     * Aggiorna lo stato della scena prima del rendering (animazioni)
+     * @param {number} deltaMs - Millisecondi trascorsi dall'ultimo frame
+     */
+    update: function(deltaMs) {
+        this.updateCameraMotion(deltaMs);
+        this.updateCameraTransition(deltaMs);
+        
+        if (window.Animator) {
+            window.Animator.update(deltaMs);
+        }
+        
+        // I mixer lavorano in secondi
+        this.mixers.forEach(entry => entry.mixer.update(deltaMs / 1000));
+    },
+    
     /**
      * Renderizza la scena
      */
     render: function() {
         if (this.scene && this.camera && this.renderer) {
             this.renderer.render(this.scene, this.camera);
+            this.updateViewCube();
         }
     },
     
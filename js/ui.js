@@ -29,8 +29,11 @@ window.UI = {
     /* ===== STATO UI ===== */
     currentPage: 'home',           // Pagina corrente ('home' o 'scenario')
     scenariosConfig: null,         // Configurazione scenari caricata
+    localScenarios: [],            // Scenari dei pacchetti .zip aggiunti nel browser
     currentScenario: null,         // Scenario attivo
     homeConfig: null,              // Configurazione home page
+    scenarioLoad: null,            // AbortController dei download dello scenario in corso
+    manualModelOptions: {},        // Unità e asse verticale dei modelli caricati a mano (impostazioni)
     
     /* ===== ELEMENTI DOM ===== */
     elements: {},                  // Cache elementi DOM
@@ -48,6 +51,9 @@ window.UI = {
             // Setup event listeners
             this.setupEventListeners();
             
+            // Unità di misura della scena nella barra di navigazione
+            this.showSceneUnit();
+            
             // Mostra pagina iniziale
             this.showPage('home');
             
@@ -57,6 +63,9 @@ window.UI = {
             // Carica automaticamente la configurazione home se disponibile
             this.loadHomeConfigFromServer();
             
+            // Ripristina i pacchetti scenario aggiunti nelle visite precedenti
+            this.restoreScenarioPackages();
+            
             AppConfig.log(2, 'UI inizializzata con successo');
             
         } catch (error) {
@@ -73,19 +82,73 @@ window.UI = {
         this.elements.homePage = document.getElementById('homePage');
         this.elements.scenarioPage = document.getElementById('scenarioPage');
         this.elements.scenariosList = document.getElementById('scenariosList');
+        this.elements.packageInput = document.getElementById('packageInput');
         
         // Controlli
         this.elements.fileInput = document.getElementById('fileInput');
         this.elements.animationInput = document.getElementById('animationInput');
         this.elements.scenarioBtn = document.getElementById('scenarioBtn');
+        this.elements.dropOverlay = document.getElementById('dropOverlay');
         this.elements.animationBtn = document.getElementById('animationBtn');
         
+        // Registrazione animazioni
+        this.elements.authoringBtn = document.getElementById('authoringBtn');
+        this.elements.authoringPanel = document.getElementById('authoringPanel');
+        this.elements.authoringModel = document.getElementById('authoringModel');
+        this.elements.authoringPose = document.getElementById('authoringPose');
+        this.elements.authoringTime = document.getElementById('authoringTime');
+        this.elements.authoringMoveStep = document.getElementById('authoringMoveStep');
+        this.elements.authoringRotateStep = document.getElementById('authoringRotateStep');
+        this.elements.authoringSummary = document.getElementById('authoringSummary');
+        
+        // Pannello impostazioni
+        this.elements.settingsPanel = document.getElementById('settingsPanel');
+        this.elements.settingsBtn = document.getElementById('settingsBtn');
+        this.elements.cameraFollowSetting = document.getElementById('cameraFollowSetting');
+        this.elements.cameraLockSetting = document.getElementById('cameraLockSetting');
+        this.elements.manualUnitsSetting = document.getElementById('manualUnitsSetting');
+        this.elements.manualUpSetting = document.getElementById('manualUpSetting');
+        this.elements.cacheUsage = document.getElementById('cacheUsage');
+        this.elements.clearCacheBtn = document.getElementById('clearCacheBtn');
+        
+        // Clip glTF
+        this.elements.clipControls = document.getElementById('clipControls');
+        this.elements.clipSelect = document.getElementById('clipSelect');
+        this.elements.clipPlayBtn = document.getElementById('clipPlayBtn');
+        this.elements.clipLoop = document.getElementById('clipLoop');
+        
+        // Viste della camera
+        this.elements.viewSelect = document.getElementById('viewSelect');
+        
         // Feedback elements
         this.elements.status = document.getElementById('status');
         this.elements.loader = document.getElementById('loader');
         this.elements.error = document.getElementById('error');
         this.elements.errorMessage = document.getElementById('errorMessage');
+        this.elements.errorDetails = document.getElementById('errorDetails');
         this.elements.scenarioTitle = document.getElementById('scenarioTitle');
+        this.elements.sceneUnit = document.getElementById('sceneUnit');
+        
+        // Timeline animazione
+        this.elements.timeline = document.getElementById('animationTimeline');
+        this.elements.timelinePlayBtn = document.getElementById('timelinePlayBtn');
+        this.elements.timelineScrubber = document.getElementById('timelineScrubber');
+        this.elements.timelineTime = document.getElementById('timelineTime');
+        this.elements.timelineSpeed = document.getElementById('timelineSpeed');
+        this.elements.timelineLoop = document.getElementById('timelineLoop');
+        
+        // Pannello procedura a passi
+        this.elements.procedurePanel = document.getElementById('procedurePanel');
+        this.elements.procedureCounter = document.getElementById('procedureCounter');
+        this.elements.procedureProgress = document.getElementById('procedureProgress');
+        this.elements.procedureStepName = document.getElementById('procedureStepName');
+        this.elements.procedureStepTitle = document.getElementById('procedureStepTitle');
+        this.elements.procedureWarnings = document.getElementById('procedureWarnings');
+        this.elements.procedureStepText = document.getElementById('procedureStepText');
+        this.elements.procedureTools = document.getElementById('procedureTools');
+        this.elements.procedureToolsList = document.getElementById('procedureToolsList');
+        this.elements.procedurePrevBtn = document.getElementById('procedurePrevBtn');
+        this.elements.procedureNextBtn = document.getElementById('procedureNextBtn');
         
         AppConfig.log(3, 'Elementi DOM cachati');
     },
@@ -108,6 +171,35 @@ window.UI = {
                 this.onAnimationSelected.bind(this));
         }
         
+        // Pacchetti scenario .zip: selezione o trascinamento sulla home page
+        if (this.elements.packageInput) {
+            this.elements.packageInput.addEventListener('change', 
+                this.onPackageSelected.bind(this));
+        }
+        this.setupPackageDrop();
+        
+        // File e cartelle trascinati sulla scena 3D
+        this.setupSceneDrop();
+        
+        // Timeline animazione e procedura a passi
+        this.setupTimelineListeners();
+        if (window.Procedure) {
+            window.Procedure.callbacks.onStepChange = this.onProcedureStepChange.bind(this);
+        }
+        
+        // Clip glTF incorporate nei modelli
+        this.setupClipListeners();
+        
+        // Viste dello scenario
+        if (this.elements.viewSelect) {
+            this.elements.viewSelect.addEventListener('change', 
+                this.onViewSelected.bind(this));
+        }
+        
+        // Impostazioni e registrazione animazioni
+        this.setupSettingsListeners();
+        this.setupAuthoringListeners();
+        
         // Click sulle card scenario
         if (this.elements.scenariosList) {
             this.elements.scenariosList.addEventListener('click', 
@@ -168,11 +260,25 @@ window.UI = {
      * Torna alla home page
      */
     goHome: function() {
+        // Interrompi download e analisi dello scenario ancora in corso
+        this.abortScenarioLoading();
+        
         // Pulisci la scena 3D
         if (window.Scene3D && window.Scene3D.clearAllModels) {
             window.Scene3D.clearAllModels();
         }
         
+        // Scarica l'animazione associata ai modelli rimossi
+        if (window.Animator) {
+            window.Animator.clear();
+        }
+        this.hideTimeline();
+        this.clearProcedure();
+        this.clearClips();
+        this.clearAuthoring();
+        this.toggleSettings(false);
+        this.setScenarioViews(null);
+        
         // Reset stato scenario
         this.currentScenario = null;
         
@@ -269,6 +375,19 @@ window.UI = {
      * Analizza il file di configurazione home e genera le card scenari
      */
     parseHomeConfig: function(content) {
+        const scenarios = this.readScenarioConfig(content);
+        
+        this.scenariosConfig = scenarios;
+        this.renderScenarioCards();
+        
+        AppConfig.log(2, `Configurazione home caricata: ${scenarios.length} scenari`);
+    },
+    
+    /**
+     * Legge gli scenari da un testo nel formato di home_config.txt
+     * @returns {Array} Scenari { name, description, image, files, steps }
+     */
+    readScenarioConfig: function(content) {
         const lines = content.split('\n');
         const scenarios = [];
         let currentScenario = null;
@@ -289,7 +408,9 @@ window.UI = {
                     description: '',
                     image: '',
                     files: [],
-                    positions: []
+                    modelOptions: {},   // Opzioni comuni a tutti i modelli (center=, units=, up=)
+                    views: [],          // Viste della camera (view=), la prima è quella di default
+                    steps: []
                 };
                 
                 if (window.AppConfig) {
@@ -312,13 +433,61 @@ window.UI = {
                     // Posizione modello (formato: position=x,y,z)
                     const positionStr = line.substring(9);
                     const coords = positionStr.split(',').map(n => parseFloat(n.trim()));
-                    if (coords.length === 3) {
-                        currentScenario.positions.push({ x: coords[0], y: coords[1], z: coords[2] });
-                        AppConfig.log(3, `  📍 Posizione: (${coords[0]}, ${coords[1]}, ${coords[2]})`);
+                    if (coords.length === 3 && coords.every(Number.isFinite)) {
+                        this.setModelPosition(currentScenario, { x: coords[0], y: coords[1], z: coords[2] });
                     } else {
                         AppConfig.log(1, `  ❌ Posizione non valida: ${positionStr}`);
                     }
                     
+                } else if (line.startsWith('view=')) {
+                    // Vista della camera (formato: view=preset, view=nome | preset, view=nome | x,y,z | x,y,z)
+                    const text = line.substring(5).replace(/\s+#.*$/, '').trim();
+                    const view = this.parseView(text);
+                    
+                    if (view) {
+                        currentScenario.views.push(view);
+                        AppConfig.log(3, `  🎥 Vista: ${view.name}`);
+                    } else {
+                        AppConfig.log(1, `  ❌ Vista non valida: ${text}`);
+                    }
+                    
+                } else if (/^(center|units|up)=/.test(line)) {
+                    // Opzioni dei modelli (formato: center=true|false, units=mm|cm|m|in, up=Y|Z)
+                    const separator = line.indexOf('=');
+                    const key = line.substring(0, separator);
+                    const text = line.substring(separator + 1).replace(/\s+#.*$/, '').trim();
+                    const value = this.parseModelOption(key, text);
+                    
+                    if (value !== undefined) {
+                        this.setModelOption(currentScenario, key, value);
+                    } else {
+                        AppConfig.log(1, `  ❌ Valore ${key} non valido: ${text}`);
+                    }
+                    
+                } else if (line.startsWith('animation=')) {
+                    // Ogni animazione è un passo della procedura (commento finale ignorato)
+                    const path = line.substring(10).replace(/\s+#.*$/, '').trim();
+                    const step = this.getConfigStep(currentScenario, !this.isOpenStep(currentScenario));
+                    step.animation = path;
+                    AppConfig.log(3, `  🎬 Passo ${currentScenario.steps.length}: ${path}`);
+                    
+                } else if (line.startsWith('clip=')) {
+                    // Clip glTF usata come passo, in alternativa a un file di animazione
+                    const clipName = line.substring(5).replace(/\s+#.*$/, '').trim();
+                    const step = this.getConfigStep(currentScenario, !this.isOpenStep(currentScenario));
+                    step.clipName = clipName;
+                    AppConfig.log(3, `  🎞️ Passo ${currentScenario.steps.length}: clip ${clipName}`);
+                    
+                } else if (line.startsWith('step.')) {
+                    // Testi del passo (formato: step.chiave=valore)
+                    const separator = line.indexOf('=');
+                    const key = separator > 0 ? line.substring(5, separator).trim() : '';
+                    const value = separator > 0 ? line.substring(separator + 1).trim() : '';
+                    
+                    if (!this.setStepProperty(currentScenario, key, value)) {
+                        AppConfig.log(1, `  ❌ Chiave passo non valida: ${line}`);
+                    }
+                    
                 } else if (line.includes('=')) {
                     // File da caricare (formato: label=path)
                     const [label, path] = line.split('=', 2);
@@ -333,32 +502,184 @@ window.UI = {
             scenarios.push(currentScenario);
         }
         
-        this.scenariosConfig = scenarios;
-        this.renderScenarioCards();
+        return scenarios;
+    },
+    
+    /**
+     * Converte il valore di un'opzione dei modelli
+     * @returns {*} Valore per ModelLoader, undefined se non valido
+     */
+    parseModelOption: function(key, text) {
+        switch (key) {
+            case 'center':
+                return text === 'true' ? true : (text === 'false' ? false : undefined);
+            case 'units': {
+                const unit = text.toLowerCase();
+                return Object.prototype.hasOwnProperty.call(AppConfig.files.units, unit) ? unit : undefined;
+            }
+            case 'up': {
+                const axis = text.toUpperCase();
+                return axis === 'Y' || axis === 'Z' ? axis : undefined;
+            }
+            default:
+                return undefined;
+        }
+    },
+    
+    /**
+     * Converte una riga view= in una vista per Scene3D
+     * Una vista predefinita (front, back, left, right, top, bottom, iso) inquadra i modelli;
+     * una vista con coordinate indica posizione della camera e punto osservato
+     * @returns {Object|null} { name, preset } o { name, position, target }, null se non valida
+     */
+    parseView: function(text) {
+        const parts = text.split('|').map(part => part.trim());
+        const presets = window.Scene3D ? window.Scene3D.viewPresets : {};
+        const presetOf = (part) => {
+            const key = part.toLowerCase();
+            return Object.prototype.hasOwnProperty.call(presets, key) ? key : null;
+        };
+        const vectorOf = (part) => {
+            const coords = part.split(',').map(n => parseFloat(n.trim()));
+            return coords.length === 3 && coords.every(Number.isFinite)
+                ? { x: coords[0], y: coords[1], z: coords[2] }
+                : null;
+        };
         
-        AppConfig.log(2, `Configurazione home caricata: ${scenarios.length} scenari`);
+        if (parts.length === 1 && presetOf(parts[0])) {
+            const preset = presetOf(parts[0]);
+            return { name: presets[preset].label, preset: preset };
+        }
+        if (parts.length === 2 && parts[0] && presetOf(parts[1])) {
+            return { name: parts[0], preset: presetOf(parts[1]) };
+        }
+        if (parts.length === 3 && parts[0] && vectorOf(parts[1]) && vectorOf(parts[2])) {
+            return { name: parts[0], position: vectorOf(parts[1]), target: vectorOf(parts[2]) };
+        }
+        return null;
+    },
+    
+    /**
+     * Applica un'opzione dei modelli: prima di ogni model= vale per tutto lo scenario,
+     * dopo vale solo per l'ultimo modello (OBJ, STL, glTF) indicato
+     */
+    setModelOption: function(scenario, key, value) {
+        const modelExtensions = AppConfig.files.supportedFormats.models;
+        const lastModel = scenario.files.slice().reverse()
+            .find(file => modelExtensions.includes('.' + file.path.toLowerCase().split('.').pop()));
+        
+        if (lastModel) {
+            lastModel.options = Object.assign(lastModel.options || {}, { [key]: value });
+            AppConfig.log(3, `  ⚙️ ${lastModel.path}: ${key}=${value}`);
+        } else {
+            scenario.modelOptions[key] = value;
+            AppConfig.log(3, `  ⚙️ Tutti i modelli: ${key}=${value}`);
+        }
+    },
+    
+    /**
+     * Associa una posizione all'ultimo modello (OBJ, STL, glTF) indicato con model=
+     * La posizione viaggia con il file: se il download fallisce non finisce su un altro modello
+     */
+    setModelPosition: function(scenario, position) {
+        const modelExtensions = AppConfig.files.supportedFormats.models;
+        const lastModel = scenario.files.slice().reverse()
+            .find(file => modelExtensions.includes('.' + file.path.toLowerCase().split('.').pop()));
+        
+        if (!lastModel) {
+            AppConfig.log(1, `  ❌ position= prima di ogni model=, ignorata: (${position.x}, ${position.y}, ${position.z})`);
+            return;
+        }
+        if (lastModel.options && lastModel.options.position) {
+            AppConfig.log(1, `  ❌ ${lastModel.path} ha già una posizione: vale l'ultima position=`);
+        }
+        
+        lastModel.options = Object.assign(lastModel.options || {}, { position: position });
+        AppConfig.log(3, `  📍 ${lastModel.path}: (${position.x}, ${position.y}, ${position.z})`);
+    },
+    
+    /**
+     * Restituisce il passo a cui associare le righe successive dello scenario
+     * @param {Object} scenario - Scenario in fase di lettura
+     * @param {boolean} createNew - True per aprire sempre un nuovo passo
+     */
+    getConfigStep: function(scenario, createNew) {
+        if (createNew || scenario.steps.length === 0) {
+            scenario.steps.push({ title: '', text: [], warnings: [], tools: [] });
+        }
+        return scenario.steps[scenario.steps.length - 1];
+    },
+    
+    /**
+     * Un passo aperto da righe step.* attende ancora la sua animazione o clip
+     */
+    isOpenStep: function(scenario) {
+        const last = scenario.steps[scenario.steps.length - 1];
+        return !!last && !last.animation && !last.clipName;
+    },
+    
+    /**
+     * Applica una chiave step.* al passo corrente dello scenario
+     * Le righe step.* precedono sempre l'animation= o clip= del loro passo: dopo un passo chiuso
+     * ne aprono uno nuovo. step.title apre un nuovo passo anche se quello aperto ha già un titolo
+     * @returns {boolean} False se la chiave non è riconosciuta
+     */
+    setStepProperty: function(scenario, key, value) {
+        const last = scenario.steps[scenario.steps.length - 1];
+        const createNew = !this.isOpenStep(scenario);
+        
+        switch (key) {
+            case 'title':
+                this.getConfigStep(scenario, createNew || !!last.title).title = value;
+                AppConfig.log(3, `  📋 Passo ${scenario.steps.length}: ${value}`);
+                return true;
+            case 'text':
+                this.getConfigStep(scenario, createNew).text.push(value);
+                return true;
+            case 'warning':
+                this.getConfigStep(scenario, createNew).warnings.push(value);
+                return true;
+            case 'tools': {
+                // Elenco separato da virgole, ripetibile
+                const tools = value.split(',').map(tool => tool.trim()).filter(tool => tool);
+                this.getConfigStep(scenario, createNew).tools.push(...tools);
+                return true;
+            }
+            default:
+                return false;
+        }
     },
     
     /**
      * Renderizza le card degli scenari nella home page
      */
     renderScenarioCards: function() {
-        if (!this.elements.scenariosList || !this.scenariosConfig) return;
+        if (!this.elements.scenariosList) return;
+        if (!this.scenariosConfig && this.localScenarios.length === 0) return;
         
         // Pulisci lista esistente
         this.elements.scenariosList.innerHTML = '';
         
-        // Crea card per ogni scenario
-        this.scenariosConfig.forEach((scenario, index) => {
+        // Crea card per ogni scenario (prima quelli del server, poi quelli dei pacchetti)
+        const scenarios = this.getScenarios();
+        scenarios.forEach((scenario, index) => {
             const card = this.createScenarioCard(scenario, index);
             this.elements.scenariosList.appendChild(card);
         });
         
-        // Aggiungi sempre la card "Modalità Manuale" alla fine
+        // Aggiungi sempre le card "Pacchetto scenario" e "Modalità Manuale" alla fine
+        this.elements.scenariosList.appendChild(this.createPackageCard());
         const manualCard = this.createManualModeCard();
         this.elements.scenariosList.appendChild(manualCard);
         
-        AppConfig.log(3, `Renderizzate ${this.scenariosConfig.length} card scenario + modalità manuale`);
+        AppConfig.log(3, `Renderizzate ${scenarios.length} card scenario + pacchetto + modalità manuale`);
+    },
+    
+    /**
+     * Scenari mostrati nella home page: quelli del server seguiti da quelli dei pacchetti
+     */
+    getScenarios: function() {
+        return [...(this.scenariosConfig || []), ...this.localScenarios];
     },
     
     /**
@@ -399,6 +720,66 @@ window.UI = {
         infoSection.appendChild(title);
         infoSection.appendChild(description);
         
+        // Scenario di un pacchetto: indicazione e pulsante per rimuoverlo
+        if (scenario.packageName) {
+            card.classList.add('local-package');
+            
+            const badge = document.createElement('small');
+            badge.className = 'package-badge';
+            badge.textContent = `📦 ${scenario.packageName}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'package-remove';
+            removeBtn.dataset.packageName = scenario.packageName;
+            removeBtn.title = 'Rimuovi il pacchetto';
+            removeBtn.setAttribute('aria-label', `Rimuovi il pacchetto ${scenario.packageName}`);
+            removeBtn.textContent = '✖';
+            
+            infoSection.appendChild(badge);
+            card.appendChild(removeBtn);
+        }
+        
+        // Assembla card
+        card.appendChild(imageSection);
+        card.appendChild(infoSection);
+        
+        return card;
+    },
+    
+    /**
+     * Crea la card "Pacchetto scenario" (apre la selezione di un .zip)
+     */
+    createPackageCard: function() {
+        const card = document.createElement('div');
+        card.className = 'scenario-card package-mode';
+        card.setAttribute('role', 'button');
+        card.setAttribute('tabindex', '0');
+        card.dataset.package = 'true';
+        
+        // Sezione immagine
+        const imageSection = document.createElement('div');
+        imageSection.className = 'scenario-image';
+        
+        const placeholderImage = document.createElement('div');
+        placeholderImage.className = 'placeholder-image';
+        placeholderImage.setAttribute('aria-hidden', 'true');
+        placeholderImage.textContent = '📦';
+        
+        imageSection.appendChild(placeholderImage);
+        
+        // Sezione info
+        const infoSection = document.createElement('div');
+        infoSection.className = 'scenario-info';
+        
+        const title = document.createElement('h3');
+        title.textContent = 'Pacchetto Scenario';
+        
+        const description = document.createElement('p');
+        description.textContent = 'Apri o trascina qui un file .zip con la configurazione dello scenario, i modelli, i materiali e le animazioni. I file restano nel browser, senza caricarli sul server.';
+        
+        infoSection.appendChild(title);
+        infoSection.appendChild(description);
+        
         // Assembla card
         card.appendChild(imageSection);
         card.appendChild(infoSection);
@@ -459,6 +840,19 @@ window.UI = {
             return;
         }
         
+        // Pulsante di rimozione di un pacchetto
+        const removeBtn = event.target.closest('.package-remove');
+        if (removeBtn) {
+            this.removeScenarioPackage(removeBtn.dataset.packageName);
+            return;
+        }
+        
+        // Card "Pacchetto scenario": selezione del file .zip
+        if (card.dataset.package === 'true') {
+            if (this.elements.packageInput) this.elements.packageInput.click();
+            return;
+        }
+        
         // Controlla se è la card "Modalità Manuale"
         if (card.dataset.manual === 'true') {
             AppConfig.log(2, 'Modalità manuale selezionata');
@@ -474,12 +868,12 @@ window.UI = {
         }
         
         const scenarioIndex = parseInt(scenarioIndexStr);
-        if (isNaN(scenarioIndex) || !this.scenariosConfig) {
+        if (isNaN(scenarioIndex)) {
             this.showError('Dati scenario non validi');
             return;
         }
         
-        const scenario = this.scenariosConfig[scenarioIndex];
+        const scenario = this.getScenarios()[scenarioIndex];
         if (!scenario) {
             this.showError('Scenario non trovato');
             return;
@@ -523,12 +917,19 @@ window.UI = {
             return;
         }
         
-        // Filtra solo i file modello (OBJ, MTL, GLTF, GLB, STL)
+        // Filtra solo i file modello (OBJ, MTL, GLTF, GLB, STL) e le risorse dei glTF (BIN, texture)
+        const formats = AppConfig.files.supportedFormats;
+        const modelExtensions = [...formats.models, ...formats.materials, ...formats.buffers, ...formats.textures];
         const modelFiles = scenario.files.filter(file => {
-            const extension = file.path.toLowerCase().split('.').pop();
-            return ['obj', 'mtl', 'gltf', 'glb', 'stl'].includes(extension);
+            const extension = '.' + file.path.toLowerCase().split('.').pop();
+            return modelExtensions.includes(extension);
         });
         
+        // Un pacchetto contiene anche risorse non elencate nella configurazione (es. texture dei MTL)
+        if (scenario.package) {
+            modelFiles.push(...this.getPackageResources(scenario.package, modelFiles));
+        }
+        
         console.log('🔄 File modello filtrati:', modelFiles);
         
         if (modelFiles.length === 0) {
@@ -547,7 +948,8 @@ window.UI = {
         const modelUrls = modelFiles.map(file => ({
             name: file.path.split('/').pop(), // Nome del file
             path: file.path,
-            type: file.path.toLowerCase().split('.').pop()
+            type: file.path.toLowerCase().split('.').pop(),
+            options: Object.assign({}, scenario.modelOptions, file.options) // Opzioni per ModelLoader
         }));
         
         // Log dei modelli che verranno caricati per debug
@@ -555,238 +957,1638 @@ window.UI = {
         
         // Avvia il caricamento tramite ModelLoader
         if (window.ModelLoader) {
-            this.loadModelsFromUrls(modelUrls);
+            this.loadModelsFromUrls(modelUrls, scenario.package);
         } else {
             this.showError('ModelLoader non disponibile');
         }
     },
     
     /**
-     * Carica modelli da URL utilizzando il ModelLoader
+     * Carica modelli da URL utilizzando il ModelLoader
+     * I download vengono letti a blocchi per mostrare i byte ricevuti, per file e in totale
+     * @param {Object} scenarioPackage - Pacchetto .zip da cui leggere i file al posto del server (opzionale)
+     */
+    loadModelsFromUrls: function(modelUrls, scenarioPackage) {
+        console.log('🌐 Avvio fetch per:', modelUrls);
+        
+        // Il pulsante Annulla della progress bar interrompe questi download
+        const controller = new AbortController();
+        this.scenarioLoad = controller;
+        
+        const downloads = modelUrls.map(model => ({ name: model.name, received: 0, total: 0, done: false }));
+        this.updateDownloadProgress(downloads, null);
+        
+        // File non scaricati, nel formato dei problemi dei file animazione
+        const failures = [];
+        
+        const loadPromises = modelUrls.map((model, index) => {
+            const download = downloads[index];
+            console.log(`🌐 Fetching: ${model.path}`);
+            
+            const request = scenarioPackage
+                ? scenarioPackage.read(model.path)
+                : this.fetchWithRetry(model.path, controller.signal, (received, total) => {
+                    download.received = received;
+                    download.total = total;
+                    this.updateDownloadProgress(downloads, download);
+                });
+            
+            return request
+                .then(blob => {
+                    console.log(`🌐 Blob creato per ${model.name}:`, blob.size, 'bytes');
+                    
+                    // Aggiorna progress bar - file completato
+                    download.received = download.total = blob.size;
+                    download.done = true;
+                    this.updateDownloadProgress(downloads, download);
+                    
+                    // Crea un File object dal blob
+                    const file = new File([blob], model.name, { type: blob.type });
+                    if (!scenarioPackage) window.ModelLoader.setSourcePath(file, model.path);
+                    window.ModelLoader.setModelOptions(file, model.options);
+                    return { file, model };
+                })
+                .catch(error => {
+                    if (controller.signal.aborted) return null;
+                    
+                    console.error(`❌ Errore fetch ${model.name}:`, error);
+                    AppConfig.log(1, `Errore caricamento ${model.name}: ${error.message}`);
+                    failures.push({ file: model.path, line: 0, reason: error.message, severity: 'error' });
+                    
+                    // Il file non arriverà: non deve più pesare sul totale
+                    download.received = download.total = 0;
+                    download.done = true;
+                    this.updateDownloadProgress(downloads, null);
+                    return null;
+                });
+        });
+        
+        Promise.allSettled(loadPromises)
+            .then(results => {
+                // Caricamento annullato dall'utente: la scena è già stata lasciata
+                if (controller.signal.aborted) return;
+                
+                console.log('🌐 Risultati fetch:', results);
+                
+                const validFiles = results
+                    .filter(result => result.status === 'fulfilled' && result.value !== null)
+                    .map(result => result.value.file);
+                
+                // Gli errori vengono raccolti dal catch di ogni download, che risolve con null
+                const failedFiles = failures.length;
+                
+                console.log('🌐 File validi:', validFiles.length, 'File falliti:', failedFiles);
+                console.log('🌐 ValidFiles dettaglio:', validFiles);
+                
+                if (validFiles.length > 0) {
+                    AppConfig.log(2, `${validFiles.length} modelli caricati con successo`);
+                    if (failedFiles > 0) {
+                        AppConfig.log(1, `${failedFiles} modelli non caricati`);
+                    }
+                    
+                    this.updateStatus(`Rendering ${validFiles.length} modelli...`);
+                    
+                    // Usa ModelLoader per caricare i file
+                    console.log('🌐 Chiamando ModelLoader.loadFiles con:', validFiles);
+                    console.log('🌐 ModelLoader disponibile?', !!window.ModelLoader);
+                    console.log('🌐 loadFiles function?', typeof window.ModelLoader.loadFiles);
+                    
+                    if (window.ModelLoader && typeof window.ModelLoader.loadFiles === 'function') {
+                        console.log('🌐 Avvio ModelLoader.loadFiles...');
+                        window.ModelLoader.loadFiles(
+                            validFiles,
+                            (message, progress) => {
+                                console.log('🌐 Progress:', message, progress);
+                                this.onModelLoadProgress(message, progress);
+                            },
+                            (models) => {
+                                this.scenarioLoad = null;
+                                console.log('🌐 Modelli caricati, chiamando onModelLoadComplete:', models);
+                                this.onModelLoadComplete(models);
+                                AppConfig.log(2, `Scenario ${this.currentScenario.name} caricato completamente`);
+                                
+                                // La vista di default dello scenario parte dall'inquadratura automatica
+                                this.setScenarioViews(this.currentScenario);
+                                
+                                // Le animazioni si associano ai modelli, quindi vanno caricate dopo;
+                                // il riepilogo dei problemi arriva al termine, con i file non scaricati o non analizzati
+                                this.loadScenarioProcedure(this.currentScenario, [...failures, ...window.ModelLoader.failedModels]);
+                            },
+                            (error) => {
+                                this.scenarioLoad = null;
+                                console.error('🌐 Errore ModelLoader:', error);
+                                this.hideModelProgressBar();
+                                this.showError(
+                                    `Errore caricamento modelli: ${error}`,
+                                    this.formatDiagnostics([...failures, ...window.ModelLoader.failedModels])
+                                );
+                                this.updateStatus('Errore caricamento');
+                            }
+                        );
+                    } else {
+                        this.showError('ModelLoader non disponibile o non ha la funzione loadFiles');
+                    }
+                    
+                } else {
+                    this.scenarioLoad = null;
+                    this.hideModelProgressBar();
+                    this.showError('Nessun modello caricato con successo', this.formatDiagnostics(failures));
+                    this.updateStatus('Errore caricamento');
+                }
+            });
+    },
+    
+    /**
+     * Scarica un file dello scenario, ripetendo la richiesta dopo errori temporanei
+     * (rete, timeout, HTTP 408/429/5xx) con attesa crescente; gli altri errori (es. 404) sono definitivi
+     * I file già in AssetCache vengono solo verificati col server, e usati anche senza rete
+     * @param {string} url - Percorso del file
+     * @param {AbortSignal} signal - Interrompe download e attese (pulsante Annulla)
+     * @param {Function} onBytes - Riceve (byte ricevuti, byte totali) del tentativo in corso
+     * @returns {Promise} Risolta con il Blob; l'Error ha il motivo leggibile dall'utente
+     */
+    fetchWithRetry: function(url, signal, onBytes) {
+        const cache = window.AssetCache;
+        
+        return (cache ? cache.get(url) : Promise.resolve(null)).then(cached => {
+            const attempt = (number) => this.fetchOnce(url, signal, onBytes, cached).catch(error => {
+                // Senza rete la copia salvata va bene anche se non è stato possibile verificarla
+                if (cached && error.transient && !signal.aborted) {
+                    AppConfig.log(1, `${url}: ${error.message}, uso la copia in cache`);
+                    onBytes(cached.size, cached.size);
+                    return cached.blob;
+                }
+                
+                return this.retryDownload(url, signal, onBytes, error, number, () => attempt(number + 1));
+            });
+            
+            return attempt(1);
+        });
+    },
+    
+    /**
+     * Decide se ripetere un download fallito, attendendo sempre di più tra un tentativo e l'altro
+     * @param {Error} error - Errore del tentativo
+     * @param {number} number - Numero del tentativo fallito (da 1)
+     * @param {Function} nextAttempt - Esegue il tentativo successivo
+     */
+    retryDownload: function(url, signal, onBytes, error, number, nextAttempt) {
+        const config = AppConfig.files.download;
+        
+        if (signal.aborted || !error.transient || number > config.retries) {
+            if (number > 1) error.message += ` (${number} tentativi)`;
+            return Promise.reject(error);
+        }
+        
+        const delay = config.retryDelay * Math.pow(2, number - 1);
+        AppConfig.log(1, `${url}: ${error.message}, nuovo tentativo tra ${delay} ms`);
+        
+        onBytes(0, 0);
+        return this.waitUnlessAborted(delay, signal).then(nextAttempt);
+    },
+    
+    /**
+     * Singolo tentativo di download
+     * Il limite AppConfig.ui.timeouts.fileLoad vale per l'attesa della risposta e tra un blocco
+     * e l'altro, così i file grandi su connessioni lente non vengono interrotti finché arrivano dati
+     * @param {Object} cached - Copia in AssetCache (null se assente): la richiesta diventa condizionale
+     */
+    fetchOnce: function(url, signal, onBytes, cached) {
+        const timeout = AppConfig.ui.timeouts.fileLoad;
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal.addEventListener('abort', abort);
+        
+        let timedOut = false;
+        let timer = null;
+        const restartTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        };
+        restartTimer();
+        
+        const cleanup = () => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+        };
+        
+        // Con una copia in cache il server risponde 304 se il file non è cambiato
+        const headers = {};
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        } else if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        
+        return fetch(url, { signal: controller.signal, headers: headers })
+            .then(response => {
+                console.log(`🌐 Response per ${url}:`, response.status, response.statusText);
+                
+                const etag = response.headers.get('ETag');
+                if (cached && (response.status === 304 || (etag && etag === cached.etag))) {
+                    if (response.body) response.body.cancel().catch(() => {});
+                    AppConfig.log(3, `${url}: copia in cache ancora valida`);
+                    window.AssetCache.touch(url);
+                    onBytes(cached.size, cached.size);
+                    return cached.blob;
+                }
+                
+                if (!response.ok) {
+                    const transient = response.status === 408 || response.status === 429 || response.status >= 500;
+                    throw this.createDownloadError(`HTTP ${response.status}: ${response.statusText}`, transient);
+                }
+                
+                return this.readResponseBlob(response, (received, total) => {
+                    restartTimer();
+                    onBytes(received, total);
+                }).then(blob => {
+                    if (window.AssetCache) {
+                        window.AssetCache.put(url, blob, { etag: etag, lastModified: response.headers.get('Last-Modified') });
+                    }
+                    return blob;
+                });
+            })
+            .then(blob => {
+                cleanup();
+                return blob;
+            }, error => {
+                cleanup();
+                if (timedOut) {
+                    throw this.createDownloadError(`nessun dato ricevuto per ${timeout / 1000} s`, true);
+                }
+                if (signal.aborted || error.transient !== undefined) {
+                    throw error;
+                }
+                // fetch rifiuta con TypeError per i problemi di rete (connessione, DNS, CORS)
+                throw this.createDownloadError(`errore di rete (${error.message})`, true);
+            });
+    },
+    
+    /**
+     * Errore di download; transient indica se ha senso ripetere la richiesta
+     */
+    createDownloadError: function(message, transient) {
+        const error = new Error(message);
+        error.transient = transient;
+        return error;
+    },
+    
+    /**
+     * Attende prima di un nuovo tentativo; rifiuta subito se il caricamento viene annullato
+     */
+    waitUnlessAborted: function(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new Error('download annullato'));
+            }, { once: true });
+        });
+    },
+    
+    /**
+     * Legge il corpo di una risposta a blocchi, riportando i byte ricevuti
+     * @param {Response} response - Risposta di fetch
+     * @param {Function} onBytes - Riceve (byte ricevuti, byte totali); il totale è 0 se il
+     *        server non invia Content-Length
+     * @returns {Promise} Risolta con il Blob del file
+     */
+    readResponseBlob: function(response, onBytes) {
+        const type = response.headers.get('Content-Type') || '';
+        const length = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            return response.blob();
+        }
+        
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        
+        const readChunk = () => reader.read().then(({ done, value }) => {
+            if (done) {
+                return new Blob(chunks, { type: type });
+            }
+            
+            chunks.push(value);
+            received += value.length;
+            
+            // Con la compressione HTTP Content-Length conta i byte compressi: il totale
+            // non deve mai restare sotto a quanto già ricevuto
+            onBytes(received, length > 0 ? Math.max(length, received) : 0);
+            return readChunk();
+        });
+        
+        return readChunk();
+    },
+    
+    /**
+     * Aggiorna la progress bar con i byte scaricati
+     * La percentuale è sui byte quando tutte le dimensioni sono note, altrimenti sui file completati
+     * @param {Array} downloads - Stato dei download { name, received, total, done }
+     * @param {Object} current - Download che ha appena ricevuto dati (null se nessuno)
+     */
+    updateDownloadProgress: function(downloads, current) {
+        const completed = downloads.filter(download => download.done).length;
+        const received = downloads.reduce((sum, download) => sum + download.received, 0);
+        const total = downloads.reduce((sum, download) => sum + download.total, 0);
+        const sizesKnown = downloads.every(download => download.done || download.total > 0);
+        
+        const percentage = sizesKnown && total > 0
+            ? Math.round((received / total) * 100)
+            : Math.round((completed / downloads.length) * 100);
+        
+        let fileName = completed === downloads.length ? 'Download completato' : 'Download in corso...';
+        if (current && !current.done) {
+            fileName = `${current.name} - ${this.formatBytes(current.received)}` +
+                       (current.total > 0 ? ` di ${this.formatBytes(current.total)}` : '');
+        } else if (current) {
+            fileName = current.name;
+        }
+        
+        this.updateModelProgress(completed, downloads.length, fileName, percentage,
+            `${this.formatBytes(received)}${sizesKnown ? ' / ' + this.formatBytes(total) : ''}`);
+    },
+    
+    /**
+     * Formatta una dimensione in byte (es. "12.4 MB")
+     */
+    formatBytes: function(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+    
+    /**
+     * Interrompe download e analisi dello scenario in caricamento (se presenti)
+     */
+    abortScenarioLoading: function() {
+        if (this.scenarioLoad) {
+            this.scenarioLoad.abort();
+            this.scenarioLoad = null;
+            AppConfig.log(2, 'Download dello scenario interrotti');
+        }
+        
+        if (window.ModelLoader) {
+            window.ModelLoader.cancel();
+        }
+        this.hideModelProgressBar();
+    },
+    
+    /**
+     * Pulsante Annulla della progress bar: interrompe il caricamento e torna alla home
+     */
+    cancelScenarioLoading: function() {
+        AppConfig.log(2, `Caricamento scenario annullato${this.currentScenario ? ': ' + this.currentScenario.name : ''}`);
+        this.goHome();
+    },
+    
+    /* ===== PACCHETTI SCENARIO ===== */
+    
+    /**
+     * Gestisce la selezione di un pacchetto .zip
+     */
+    onPackageSelected: function(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Permette di riselezionare lo stesso file
+        if (file) this.openScenarioPackage(file);
+    },
+    
+    /**
+     * Accetta i pacchetti .zip trascinati sulla home page
+     */
+    setupPackageDrop: function() {
+        const homePage = this.elements.homePage;
+        if (!homePage) return;
+        
+        homePage.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            homePage.classList.add('package-drop');
+        });
+        
+        homePage.addEventListener('dragleave', (event) => {
+            if (!homePage.contains(event.relatedTarget)) homePage.classList.remove('package-drop');
+        });
+        
+        homePage.addEventListener('drop', (event) => {
+            event.preventDefault();
+            homePage.classList.remove('package-drop');
+            
+            const files = Array.from(event.dataTransfer.files);
+            const packages = files.filter(file => file.name.toLowerCase().endsWith('.zip'));
+            if (packages.length === 0) {
+                this.showError('Trascinare un pacchetto scenario in formato .zip');
+                return;
+            }
+            
+            packages.forEach(file => this.openScenarioPackage(file));
+        });
+    },
+    
+    /**
+     * Apre un pacchetto .zip, ne aggiunge gli scenari alla home page e lo conserva nel browser
+     */
+    openScenarioPackage: function(file) {
+        if (!window.ScenarioPackage) {
+            this.showError('Pacchetti scenario non disponibili');
+            return;
+        }
+        
+        AppConfig.log(2, `Apertura pacchetto: ${file.name}`);
+        this.updateStatus(`Apertura pacchetto ${file.name}...`);
+        
+        this.addScenarioPackage(file, file.name)
+            .then(scenarios => ScenarioPackage.save(file, file.name).then(saved => {
+                this.updateStatus(`Pacchetto ${file.name}: ${scenarios.length} scenari aggiunti` +
+                                  (saved ? '' : ' (non conservato dopo la chiusura della pagina)'));
+            }))
+            .catch(error => {
+                AppConfig.log(0, `Pacchetto ${file.name} non aperto: ${error.message}`);
+                this.showError(`Impossibile aprire il pacchetto ${file.name}`, [error.message]);
+                this.updateStatus('Errore pacchetto');
+            });
+    },
+    
+    /**
+     * Legge gli scenari di un pacchetto e ne crea le card
+     * Un pacchetto con lo stesso nome di uno già presente lo sostituisce
+     * @returns {Promise} Risolta con gli scenari aggiunti
+     */
+    addScenarioPackage: function(file, name) {
+        return ScenarioPackage.open(file, name).then(pkg => {
+            const scenarios = this.readScenarioConfig(pkg.configText);
+            
+            // Le immagini delle card vengono dall'archivio
+            return Promise.all(scenarios.map(scenario => {
+                scenario.package = pkg;
+                scenario.packageName = name;
+                
+                if (!scenario.image) return null;
+                return pkg.getUrl(scenario.image).then(url => {
+                    scenario.image = url;
+                });
+            })).then(() => {
+                this.releaseScenarioPackage(name);
+                this.localScenarios.push(...scenarios);
+                this.renderScenarioCards();
+                
+                AppConfig.log(2, `Pacchetto ${name}: ${scenarios.length} scenari`);
+                return scenarios;
+            });
+        });
+    },
+    
+    /**
+     * Rimuove un pacchetto dalla home page e dal browser
+     */
+    removeScenarioPackage: function(name) {
+        if (!this.localScenarios.some(scenario => scenario.packageName === name)) return;
+        
+        this.releaseScenarioPackage(name);
+        this.renderScenarioCards();
+        
+        ScenarioPackage.remove(name)
+            .then(() => this.updateStatus(`Pacchetto ${name} rimosso`))
+            .catch(error => AppConfig.log(1, `Pacchetto ${name} non rimosso dal browser: ${error.message || error}`));
+    },
+    
+    /**
+     * Toglie dall'elenco gli scenari di un pacchetto e ne libera i file estratti
+     */
+    releaseScenarioPackage: function(name) {
+        const scenarios = this.localScenarios.filter(scenario => scenario.packageName === name);
+        if (scenarios.length === 0) return;
+        
+        scenarios[0].package.release();
+        this.localScenarios = this.localScenarios.filter(scenario => scenario.packageName !== name);
+    },
+    
+    /**
+     * Ricrea le card dei pacchetti conservati nel browser
+     * I pacchetti vengono aperti uno alla volta, nell'ordine in cui sono stati aggiunti
+     */
+    restoreScenarioPackages: function() {
+        if (!window.ScenarioPackage) return;
+        
+        ScenarioPackage.list()
+            .then(packages => packages.reduce((chain, entry) => chain.then(() =>
+                this.addScenarioPackage(entry.blob, entry.name).catch(error => {
+                    AppConfig.log(1, `Pacchetto ${entry.name} non ripristinato: ${error.message}`);
+                })
+            ), Promise.resolve()))
+            .catch(error => AppConfig.log(1, `Pacchetti locali non letti: ${error.message || error}`));
+    },
+    
+    /**
+     * Materiali, texture e buffer del pacchetto non elencati nella configurazione
+     * @param {Array} listed - File dello scenario già da caricare { label, path }
+     */
+    getPackageResources: function(scenarioPackage, listed) {
+        const formats = AppConfig.files.supportedFormats;
+        const resourceExtensions = [...formats.materials, ...formats.buffers, ...formats.textures];
+        
+        const listedPaths = new Set(listed
+            .map(file => scenarioPackage.find(file.path))
+            .filter(entry => entry)
+            .map(entry => entry.path));
+        
+        return scenarioPackage.paths
+            .filter(path => resourceExtensions.includes('.' + path.toLowerCase().split('.').pop()))
+            .filter(path => !listedPaths.has(path))
+            .map(path => ({ label: 'risorsa', path: path }));
+    },
+    
+    /* ===== GESTIONE FILE MODELLI ===== */
+    
+    /**
+     * Gestisce la selezione di file modelli dall'utente
+     */
+    onModelsSelected: function(event) {
+        const files = event.target.files;
+        if (!files || files.length === 0) return;
+        
+        AppConfig.log(2, `File modelli selezionati: ${files.length}`);
+        
+        if (window.ModelLoader) {
+            Array.from(files).forEach(file => window.ModelLoader.setModelOptions(file, Object.assign({}, this.manualModelOptions)));
+        }
+        
+        this.updateStatus('Caricamento modelli...');
+        this.showLoader('Caricamento modelli in corso...');
+        
+        // Usa ModelLoader per caricare i file
+        if (window.ModelLoader) {
+            window.ModelLoader.loadFiles(
+                files,
+                this.onModelLoadProgress.bind(this),
+                this.onModelLoadComplete.bind(this),
+                this.onModelLoadError.bind(this)
+            );
+        } else {
+            this.showError('ModelLoader non disponibile');
+        }
+    },
+    
+    /* ===== TRASCINAMENTO FILE SULLA SCENA ===== */
+    
+    /**
+     * Accetta file e cartelle trascinati su tutta la pagina dello scenario (canvas, header,
+     * timeline, pannelli), in aggiunta ai modelli già nella scena: un file rilasciato fuori
+     * dal canvas non deve essere aperto dal browser, facendo perdere lo scenario caricato
+     */
+    setupSceneDrop: function() {
+        const scenarioPage = this.elements.scenarioPage;
+        if (!scenarioPage) return;
+        
+        // Fuori dalle zone che accettano file (es. loader o messaggi di errore) il rilascio viene ignorato
+        const isFileDrag = (event) => !!event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+        document.addEventListener('dragover', (event) => {
+            if (event.defaultPrevented || !isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'none';
+        });
+        document.addEventListener('drop', (event) => {
+            if (isFileDrag(event)) event.preventDefault();
+        });
+        
+        scenarioPage.addEventListener('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            this.toggleDropOverlay(true);
+        });
+        
+        scenarioPage.addEventListener('dragleave', (event) => {
+            if (!scenarioPage.contains(event.relatedTarget)) this.toggleDropOverlay(false);
+        });
+        
+        scenarioPage.addEventListener('drop', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            this.toggleDropOverlay(false);
+            
+            // Le voci del trascinamento vanno lette subito: dopo l'evento non sono più accessibili
+            this.readDroppedFiles(event.dataTransfer)
+                .then(dropped => this.onFilesDropped(dropped))
+                .catch(error => {
+                    AppConfig.log(0, `Lettura dei file trascinati non riuscita: ${error.message || error}`);
+                    this.showError('Impossibile leggere i file trascinati');
+                });
+        });
+    },
+    
+    /**
+     * Mostra o nasconde il riquadro "rilascia qui" sopra la scena
+     */
+    toggleDropOverlay: function(show) {
+        if (this.elements.dropOverlay) {
+            this.elements.dropOverlay.classList.toggle('hidden', !show);
+        }
+    },
+    
+    /**
+     * Elenca i file trascinati, entrando nelle cartelle
+     * @param {DataTransfer} dataTransfer - Dati dell'evento drop
+     * @returns {Promise} Risolta con [{ file, path }], path relativo alla cartella trascinata
+     */
+    readDroppedFiles: function(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+        
+        // Browser senza webkitGetAsEntry: solo i file, senza cartelle
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ file: file, path: file.name })));
+        }
+        
+        return Promise.all(entries.map(entry => this.readDroppedEntry(entry)))
+            .then(lists => [].concat(...lists));
+    },
+    
+    /**
+     * Legge una voce trascinata: un file o, ricorsivamente, il contenuto di una cartella
+     */
+    readDroppedEntry: function(entry) {
+        if (entry.isFile) {
+            return new Promise(resolve => {
+                entry.file(
+                    file => resolve([{ file: file, path: entry.fullPath.replace(/^\//, '') }]),
+                    error => {
+                        AppConfig.log(1, `${entry.fullPath} non leggibile: ${error.message}`);
+                        resolve([]);
+                    }
+                );
+            });
+        }
+        
+        // readEntries restituisce le voci a gruppi: va chiamata finché non ne restituisce zero
+        const reader = entry.createReader();
+        const readAll = (collected) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+            .then(batch => (batch.length === 0 ? collected : readAll(collected.concat(batch))));
+        
+        return readAll([])
+            .then(children => Promise.all(children.map(child => this.readDroppedEntry(child))))
+            .then(lists => [].concat(...lists));
+    },
+    
+    /**
+     * Carica i file trascinati: i modelli si aggiungono alla scena senza sostituire quelli presenti
+     * @param {Array} dropped - File con il percorso nella cartella trascinata { file, path }
+     */
+    onFilesDropped: function(dropped) {
+        if (dropped.length === 0) return;
+        
+        if (window.ModelLoader && window.ModelLoader.isLoading) {
+            this.updateStatus('Attendere la fine del caricamento in corso');
+            return;
+        }
+        
+        const modelExtensions = AppConfig.files.supportedFormats.models;
+        const hasModels = dropped.some(entry => modelExtensions.includes('.' + entry.file.name.toLowerCase().split('.').pop()));
+        if (!hasModels) {
+            this.showError('Nessun modello tra i file trascinati', [`Formati supportati: ${modelExtensions.join(', ')}`]);
+            return;
+        }
+        
+        AppConfig.log(2, `File trascinati: ${dropped.length}`);
+        
+        // I percorsi relativi servono a trovare le texture citate dagli MTL nelle sottocartelle;
+        // unità e asse verticale sono quelli scelti nelle impostazioni
+        dropped.forEach(entry => {
+            window.ModelLoader.setLocalPath(entry.file, entry.path);
+            window.ModelLoader.setModelOptions(entry.file, Object.assign({}, this.manualModelOptions));
+        });
+        
+        this.updateStatus('Caricamento modelli...');
+        this.showLoader('Caricamento modelli in corso...');
+        
+        window.ModelLoader.loadFiles(
+            dropped.map(entry => entry.file),
+            this.onModelLoadProgress.bind(this),
+            this.onModelLoadComplete.bind(this),
+            this.onModelLoadError.bind(this)
+        );
+    },
+    
+    /**
+     * Callback progresso caricamento modelli
+     */
+    onModelLoadProgress: function(message, progress) {
+        this.updateStatus(message);
+        
+        // Aggiorna anche la progress bar se visibile
+        const progressBar = document.getElementById('modelProgressBar');
+        if (progressBar && !progressBar.classList.contains('hidden')) {
+            // Estrai informazioni dal messaggio se possibile
+            const currentFile = message.includes('Caricamento ') ? message.replace('Caricamento ', '').replace('...', '') : message;
+            const percentage = Math.round(progress * 100);
+            this.updateModelProgress(null, null, currentFile, percentage);
+        }
+        
+        AppConfig.log(3, `Progresso caricamento: ${message} (${Math.round(progress * 100)}%)`);
+    },
+    
+    /**
+     * Callback completamento caricamento modelli
+     */
+    onModelLoadComplete: function(models) {
+        this.hideLoader();
+        
+        if (models.length === 0) {
+            this.showError('Nessun modello caricato');
+            this.updateStatus('Errore caricamento');
+            return;
+        }
+        
+        AppConfig.log(2, `Modelli caricati con successo: ${models.length}`);
+        
+        // Aggiungi modelli alla scena (le position= dello scenario le applica ModelLoader, file per file)
+        models.forEach(model => {
+            if (window.Scene3D) {
+                window.Scene3D.addModel(model);
+                
+                // DEBUG: Controlla i controlli touch dopo l'aggiunta del modello
+                setTimeout(() => {
+                    console.log('🔍 DEBUG: Controllo stato controlli touch dopo addModel');
+                    this.debugTouchControlsState();
+                }, 100);
+            }
+        });
+        
+        this.updateStatus(`${models.length} modello(i) caricato(i)`);
+        
+        // Modelli non analizzati, poi materiali e texture citati dai modelli ma non trovati
+        const failed = window.ModelLoader ? window.ModelLoader.failedModels : [];
+        const missing = window.ModelLoader ? window.ModelLoader.missingResources : [];
+        if (failed.length > 0) {
+            this.showError(`${failed.length} modelli non caricati`, [...this.formatDiagnostics(failed), ...missing]);
+        } else if (missing.length > 0) {
+            this.showError(`${missing.length} file citati dai modelli non trovati`, missing);
+        }
+        
+        // Elenca le clip glTF dei modelli appena aggiunti
+        this.updateClipList();
+        this.updateAuthoringModels();
+        
+        // Crea controlli visibilità per modelli multipli (contano anche quelli già nella scena)
+        if (window.Scene3D && window.Scene3D.loadedModels.length > 1) {
+            this.createModelVisibilityControls();
+        }
+        
+        // Nascondi progress bar al completamento
+        this.hideModelProgressBar();
+        
+        // Reset input file
+        if (this.elements.fileInput) {
+            this.elements.fileInput.value = '';
+        }
+        
+        // DEBUG: Stato finale dei controlli touch dopo caricamento completo
+        setTimeout(() => {
+            console.log('🔍 DEBUG: Stato controlli touch alla fine del caricamento modelli');
+            this.debugTouchControlsState();
+            // Forza nuovamente i controlli per sicurezza
+            this.forceShowTouchControls();
+        }, 500);
+    },
+    
+    /**
+     * Callback errore caricamento modelli
+     */
+    onModelLoadError: function(error) {
+        this.hideLoader();
+        this.hideModelProgressBar(); // Nascondi progress bar anche in caso di errore
+        this.showError(
+            'Errore caricamento modelli: ' + error,
+            window.ModelLoader ? this.formatDiagnostics(window.ModelLoader.failedModels) : []
+        );
+        this.updateStatus('Errore caricamento');
+        
+        AppConfig.log(0, 'Errore caricamento modelli:', error);
+    },
+    
+    /* ===== GESTIONE ANIMAZIONI ===== */
+    
+    /**
+     * Gestisce la selezione di file animazione
+     */
+    onAnimationSelected: function(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        AppConfig.log(2, `File animazione selezionato: ${file.name}`);
+        
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            // Un'animazione caricata a mano sostituisce la procedura dello scenario e la registrazione
+            this.clearProcedure();
+            this.toggleAuthoring(false);
+            this.loadAnimation(e.target.result, file.name);
+        };
+        
+        reader.onerror = () => {
+            this.showError(`Errore lettura file animazione ${file.name}`);
+        };
+        
+        reader.readAsText(file);
+    },
+    
+    /**
+     * Carica nel modulo Animator il testo di un file animazione
+     * @param {string} content - Contenuto del file
+     * @param {string} fileName - Nome del file
+     */
+    loadAnimation: function(content, fileName) {
+        if (!window.Animator) {
+            this.showError('Animator non disponibile');
+            return;
+        }
+        
+        const clip = window.Animator.loadFromText(content, fileName);
+        const boundObjects = Object.keys(window.Animator.bindings).length;
+        const diagnostics = window.Animator.checkObjects(clip);
+        
+        if (boundObjects === 0 && !window.Animator.cameraTrack) {
+            this.showError(`L'animazione ${fileName} non corrisponde a nessun modello caricato`, this.formatDiagnostics(diagnostics));
+            return;
+        }
+        
+        if (diagnostics.length > 0) {
+            this.showDiagnostics(diagnostics);
+        }
+        
+        this.updateStatus(`Animazione ${clip.name} caricata (${boundObjects} oggetti)`);
+        if (this.elements.animationBtn) {
+            this.elements.animationBtn.disabled = false;
+        }
+        
+        this.showTimeline();
+    },
+    
+    /* ===== PROCEDURA A PASSI ===== */
+    
+    /**
+     * Carica le animazioni dello scenario come passi della procedura
+     * @param {Array} failures - File dello scenario non scaricati o non analizzati, da riportare insieme ai problemi delle animazioni
+     */
+    loadScenarioProcedure: function(scenario, failures = []) {
+        if (!window.Procedure || !scenario.steps || scenario.steps.length === 0) {
+            this.reportScenarioProblems(failures, []);
+            return;
+        }
+        
+        this.updateStatus(`Caricamento procedura (${scenario.steps.length} passi)...`);
+        
+        // Le animazioni di un pacchetto si leggono dall'archivio
+        const readText = scenario.package
+            ? (path) => scenario.package.read(path).then(file => file.text())
+            : undefined;
+        
+        window.Procedure.load(scenario.steps, readText).then(() => {
+            const failed = window.Procedure.steps.filter(step => step.error);
+            if (failed.length > 0) {
+                this.updateStatus(`Procedura caricata: ${failed.length} animazioni non disponibili`);
+            }
+            
+            this.reportScenarioProblems(failures, window.Procedure.getDiagnostics());
+        });
+    },
+    
+    /**
+     * Riepilogo finale dei problemi di uno scenario
+     * I file non scaricati o non analizzati vengono prima: senza di loro la scena mostrata è incompleta
+     * @param {Array} failures - File non scaricati o non analizzati { file, line, reason, severity }
+     * @param {Array} diagnostics - Problemi dei file animazione
+     */
+    reportScenarioProblems: function(failures, diagnostics) {
+        if (failures.length === 0) {
+            if (diagnostics.length > 0) this.showDiagnostics(diagnostics);
+            return;
+        }
+        
+        // Anche materiali e texture non trovati restano nell'elenco
+        const missing = window.ModelLoader ? window.ModelLoader.missingResources : [];
+        
+        this.showError(
+            `${failures.length} file dello scenario non caricati: la scena è incompleta`,
+            [...this.formatDiagnostics([...failures, ...diagnostics]), ...missing]
+        );
+        this.updateStatus(`Scenario incompleto: ${failures.length} file non caricati`);
+    },
+    
+    /**
+     * Callback di Procedure al cambio di passo: aggiorna pannello e timeline
+     */
+    onProcedureStepChange: function(index, step) {
+        const total = window.Procedure.steps.length;
+        
+        this.renderProcedurePanel();
+        
+        if (step.clipName && !step.error) {
+            // Passo con clip glTF: si avvia con "Avvia animazione", senza timeline
+            this.hideTimeline();
+            if (this.elements.clipSelect) {
+                const entry = window.ClipPlayer.findClip(step.clipName);
+                this.elements.clipSelect.value = entry.id;
+            }
+            if (this.elements.animationBtn) {
+                this.elements.animationBtn.disabled = false;
+            }
+            this.updateStatus(`Passo ${step.number} di ${total}${step.title ? ': ' + step.title : ''} - premi ▶️ Avvia animazione`);
+        } else if (step.clip) {
+            this.showTimeline();
+            if (this.elements.animationBtn) {
+                this.elements.animationBtn.disabled = false;
+            }
+            this.updateStatus(`Passo ${step.number} di ${total}${step.title ? ': ' + step.title : ''} - premi ▶️ per avviare`);
+        } else {
+            this.hideTimeline();
+            this.updateStatus(step.error
+                ? `Passo ${step.number} di ${total} - animazione non disponibile`
+                : `Passo ${step.number} di ${total}${step.title ? ': ' + step.title : ''}`);
+        }
+    },
+    
+    /**
+     * Aggiorna contatore, indicatore di avanzamento e pulsanti del pannello procedura
+     */
+    renderProcedurePanel: function() {
+        const panel = this.elements.procedurePanel;
+        if (!panel || !window.Procedure || !window.Procedure.isActive()) return;
+        
+        const steps = window.Procedure.steps;
+        const current = window.Procedure.currentStep;
+        
+        if (this.elements.procedureCounter) {
+            this.elements.procedureCounter.textContent = `Passo ${current + 1} di ${steps.length}`;
+        }
+        
+        this.renderStepInstructions(steps[current]);
+        
+        // Un pulsante per passo: completati, attivo, da fare
+        if (this.elements.procedureProgress) {
+            this.elements.procedureProgress.innerHTML = '';
+            
+            steps.forEach((step, index) => {
+                const dot = document.createElement('button');
+                dot.className = 'procedure-dot';
+                if (index < current) dot.classList.add('done');
+                if (index === current) dot.classList.add('active');
+                dot.textContent = step.number;
+                dot.title = step.title
+                    ? `Vai al passo ${step.number}: ${step.title}`
+                    : `Vai al passo ${step.number}`;
+                dot.setAttribute('aria-label', dot.title);
+                if (index === current) dot.setAttribute('aria-current', 'step');
+                dot.onclick = () => this.goToStep(index);
+                this.elements.procedureProgress.appendChild(dot);
+            });
+        }
+        
+        if (this.elements.procedurePrevBtn) {
+            this.elements.procedurePrevBtn.disabled = current <= 0;
+        }
+        if (this.elements.procedureNextBtn) {
+            this.elements.procedureNextBtn.disabled = current >= steps.length - 1;
+        }
+        
+        panel.classList.remove('hidden');
+    },
+    
+    /**
+     * Mostra titolo, avvertenze, istruzioni e attrezzi del passo attivo
+     * I testi vengono da home_config.txt, quindi sono inseriti come testo e non come HTML
+     */
+    renderStepInstructions: function(step) {
+        if (this.elements.procedureStepTitle) {
+            this.elements.procedureStepTitle.textContent = step.title || `Passo ${step.number}`;
+        }
+        
+        // Avvertenze di sicurezza prima delle istruzioni
+        const warnings = this.elements.procedureWarnings;
+        if (warnings) {
+            warnings.innerHTML = '';
+            (step.warnings || []).forEach(warning => {
+                const item = document.createElement('p');
+                item.className = 'procedure-warning';
+                item.textContent = `⚠️ ${warning}`;
+                warnings.appendChild(item);
+            });
+            warnings.classList.toggle('hidden', warnings.children.length === 0);
+        }
+        
+        const text = this.elements.procedureStepText;
+        if (text) {
+            text.innerHTML = '';
+            (step.text || []).forEach(paragraph => {
+                const item = document.createElement('p');
+                item.textContent = paragraph;
+                text.appendChild(item);
+            });
+        }
+        
+        const tools = step.tools || [];
+        if (this.elements.procedureToolsList) {
+            this.elements.procedureToolsList.innerHTML = '';
+            tools.forEach(tool => {
+                const item = document.createElement('li');
+                item.textContent = tool;
+                this.elements.procedureToolsList.appendChild(item);
+            });
+        }
+        if (this.elements.procedureTools) {
+            this.elements.procedureTools.classList.toggle('hidden', tools.length === 0);
+        }
+        
+        // File di animazione del passo, o segnalazione se non disponibile
+        if (this.elements.procedureStepName) {
+            const source = step.clipName ? `clip ${step.clipName}` : step.fileName;
+            this.elements.procedureStepName.textContent = step.error
+                ? `⚠️ ${source}: animazione non disponibile`
+                : (step.clipName ? `🎞️ ${source}` : (source ? `🎬 ${source}` : ''));
+        }
+    },
+    
+    /**
+     * Va a un passo specifico della procedura
+     */
+    goToStep: function(index) {
+        if (window.Procedure) window.Procedure.goToStep(index);
+    },
+    
+    /**
+     * Passa al passo successivo
+     */
+    nextStep: function() {
+        if (window.Procedure) window.Procedure.next();
+    },
+    
+    /**
+     * Torna al passo precedente
+     */
+    previousStep: function() {
+        if (window.Procedure) window.Procedure.previous();
+    },
+    
+    /**
+     * Termina la procedura e nasconde il pannello
+     */
+    clearProcedure: function() {
+        if (window.Procedure) {
+            window.Procedure.clear();
+        }
+        if (this.elements.procedurePanel) {
+            this.elements.procedurePanel.classList.add('hidden');
+        }
+    },
+    
+    /* ===== IMPOSTAZIONI ===== */
+    
+    /**
+     * Collega le opzioni del pannello impostazioni ai moduli
+     */
+    setupSettingsListeners: function() {
+        // Unità e asse verticale dei modelli selezionati o trascinati (gli scenari li indicano nella configurazione)
+        const defaults = AppConfig.files.models;
+        this.manualModelOptions = { units: defaults.units, up: defaults.up };
+        [[this.elements.manualUnitsSetting, 'units'], [this.elements.manualUpSetting, 'up']].forEach(([select, key]) => {
+            if (!select) return;
+            select.value = this.manualModelOptions[key];
+            select.addEventListener('change', (event) => {
+                this.manualModelOptions[key] = event.target.value;
+                AppConfig.log(2, `Modalità manuale: ${key}=${event.target.value}`);
+            });
+        });
+        
+        if (!window.Animator) return;
+        
+        // Camera durante le animazioni
+        if (this.elements.cameraFollowSetting) {
+            this.elements.cameraFollowSetting.checked = window.Animator.cameraSettings.follow;
+            this.elements.cameraFollowSetting.addEventListener('change', (event) => {
+                window.Animator.setCameraFollow(event.target.checked);
+            });
+        }
+        
+        if (this.elements.cameraLockSetting) {
+            this.elements.cameraLockSetting.checked = window.Animator.cameraSettings.lock;
+            this.elements.cameraLockSetting.addEventListener('change', (event) => {
+                window.Animator.setCameraLock(event.target.checked);
+            });
+        }
+    },
+    
+    /**
+     * Mostra l'unità di misura della scena, in cui vengono convertiti tutti i modelli
+     */
+    showSceneUnit: function() {
+        const unit = AppConfig.scene3D.unit;
+        
+        if (this.elements.sceneUnit) {
+            this.elements.sceneUnit.textContent = `📏 ${unit}`;
+        }
+        if (this.elements.authoringMoveStep) {
+            this.elements.authoringMoveStep.title = `Passo spostamento (${unit})`;
+        }
+    },
+    
+    /**
+     * Mostra o nasconde il pannello impostazioni
+     * @param {boolean} [show] - Stato desiderato (default: inverte quello attuale)
+     */
+    toggleSettings: function(show) {
+        const panel = this.elements.settingsPanel;
+        if (!panel) return;
+        
+        const visible = show !== undefined ? show : panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !visible);
+        
+        if (this.elements.settingsBtn) {
+            this.elements.settingsBtn.setAttribute('aria-expanded', visible);
+        }
+        
+        if (visible) {
+            this.updateCacheUsage();
+        }
+    },
+    
+    /**
+     * Mostra lo spazio occupato da AssetCache nel pannello impostazioni, con la copia del service worker
+     */
+    updateCacheUsage: function() {
+        const label = this.elements.cacheUsage;
+        if (!label || !window.AssetCache) return;
+        
+        window.AssetCache.getUsage().then(usage => {
+            if (!usage.available) {
+                label.textContent = 'Cache non disponibile in questo browser';
+            } else {
+                label.textContent = `${usage.files} file, ${this.formatBytes(usage.size)} di ${this.formatBytes(usage.maxSize)}`;
+            }
+            if (usage.offline.files > 0) {
+                label.textContent += ` (copia per l'uso senza rete: ${usage.offline.files} file, ${this.formatBytes(usage.offline.size)})`;
+            }
+            
+            if (this.elements.clearCacheBtn) {
+                this.elements.clearCacheBtn.disabled = usage.files === 0 && usage.offline.files === 0;
+            }
+        });
+    },
+    
+    /**
+     * Svuota AssetCache e la copia dei file degli scenari del service worker (i modelli già nella scena restano)
+     */
+    clearAssetCache: function() {
+        if (!window.AssetCache) return;
+        
+        window.AssetCache.clear()
+            .then(() => {
+                this.updateStatus('Cache dei file svuotata');
+                this.updateCacheUsage();
+            })
+            .catch(error => this.showError(`Impossibile svuotare la cache: ${error.message || error}`));
+    },
+    
+    /* ===== REGISTRAZIONE ANIMAZIONI ===== */
+    
+    /**
+     * Collega il pannello di registrazione ad AnimationRecorder
+     */
+    setupAuthoringListeners: function() {
+        const recorder = window.AnimationRecorder;
+        if (!recorder) return;
+        
+        if (this.elements.authoringModel) {
+            this.elements.authoringModel.addEventListener('change', (event) => {
+                recorder.selectModel(window.Animator.findModel(event.target.value));
+            });
+        }
+        
+        // Scrivendo un tempo la timeline lo segue, se la registrazione arriva fin lì
+        if (this.elements.authoringTime) {
+            this.elements.authoringTime.addEventListener('change', (event) => {
+                const time = parseFloat(event.target.value) * 1000;
+                if (window.Animator.currentClip && time >= 0) {
+                    window.Animator.pause();
+                    window.Animator.seek(time);
+                }
+            });
+        }
+        
+        recorder.callbacks.onChange = this.updateAuthoringSummary.bind(this);
+        recorder.callbacks.onSelectionChange = this.updateAuthoringSelection.bind(this);
+    },
+    
+    /**
+     * Attiva o disattiva la modalità autore
+     * @param {boolean} [show] - Stato desiderato (default: inverte quello attuale)
+     */
+    toggleAuthoring: function(show) {
+        const recorder = window.AnimationRecorder;
+        const panel = this.elements.authoringPanel;
+        if (!recorder || !panel) return;
+        
+        const active = show !== undefined ? show : !recorder.active;
+        
+        if (active) {
+            // La registrazione sostituisce la procedura nella timeline
+            this.clearProcedure();
+            recorder.start();
+            this.updateAuthoringModels();
+            this.updateAuthoringSummary(recorder.keyframes);
+            this.updateStatus('Modalità autore: trascina un modello e aggiungi keyframe');
+        } else {
+            recorder.stop();
+        }
+        
+        panel.classList.toggle('hidden', !active);
+        if (this.elements.authoringBtn) {
+            this.elements.authoringBtn.setAttribute('aria-expanded', active);
+        }
+    },
+    
+    /**
+     * Elenca i modelli della scena nel selettore di registrazione
+     */
+    updateAuthoringModels: function() {
+        const select = this.elements.authoringModel;
+        if (!select || !window.Scene3D) return;
+        
+        select.innerHTML = '';
+        
+        const empty = document.createElement('option');
+        empty.value = '';
+        empty.textContent = '— seleziona —';
+        select.appendChild(empty);
+        
+        window.Scene3D.loadedModels.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.name;
+            select.appendChild(option);
+        });
+        
+        this.updateAuthoringSelection(window.AnimationRecorder ? window.AnimationRecorder.selectedModel : null);
+    },
+    
+    /**
+     * Mostra modello selezionato e posa corrente (callback di AnimationRecorder)
+     */
+    updateAuthoringSelection: function(model) {
+        if (this.elements.authoringModel) {
+            this.elements.authoringModel.value = model ? model.name : '';
+        }
+        
+        if (this.elements.authoringPose) {
+            if (!model) {
+                this.elements.authoringPose.textContent = 'Trascina un modello nella vista per selezionarlo e spostarlo';
+                return;
+            }
+            
+            const p = model.position;
+            const r = model.rotation;
+            const deg = THREE.MathUtils.radToDeg;
+            this.elements.authoringPose.textContent =
+                `Pos ${p.x.toFixed(3)}, ${p.y.toFixed(3)}, ${p.z.toFixed(3)} · ` +
+                `Rot ${deg(r.x).toFixed(0)}°, ${deg(r.y).toFixed(0)}°, ${deg(r.z).toFixed(0)}°`;
+        }
+    },
+    
+    /**
+     * Aggiorna riepilogo e timeline dopo una modifica dei keyframe (callback di AnimationRecorder)
+     */
+    updateAuthoringSummary: function(keyframes) {
+        if (this.elements.authoringSummary) {
+            const objects = new Set(keyframes.map(keyframe => keyframe.object));
+            this.elements.authoringSummary.textContent = keyframes.length === 0
+                ? 'Nessun keyframe registrato'
+                : `${keyframes.length} keyframe su ${objects.size} oggetti, fino a ${this.formatSeconds(keyframes[keyframes.length - 1].time)} s`;
+        }
+        
+        if (window.Animator && window.Animator.currentClip) {
+            this.showTimeline();
+            if (this.elements.animationBtn) this.elements.animationBtn.disabled = false;
+        } else {
+            this.hideTimeline();
+        }
+    },
+    
+    /**
+     * Tempo del prossimo keyframe in millisecondi, dal campo del pannello
+     */
+    getAuthoringTime: function() {
+        const seconds = this.elements.authoringTime ? parseFloat(this.elements.authoringTime.value) : 0;
+        return isNaN(seconds) || seconds < 0 ? 0 : seconds * 1000;
+    },
+    
+    /**
+     * Sposta il modello selezionato di un passo lungo un asse
+     */
+    nudgeModel: function(axis, direction) {
+        const step = this.elements.authoringMoveStep ? parseFloat(this.elements.authoringMoveStep.value) : 0.01;
+        if (window.AnimationRecorder && step > 0) {
+            window.AnimationRecorder.nudge(axis, direction * step);
+        }
+    },
+    
+    /**
+     * Ruota il modello selezionato di un passo attorno a un asse
+     */
+    rotateModel: function(axis, direction) {
+        const step = this.elements.authoringRotateStep ? parseFloat(this.elements.authoringRotateStep.value) : 15;
+        if (window.AnimationRecorder && step > 0) {
+            window.AnimationRecorder.rotate(axis, direction * step);
+        }
+    },
+    
+    /**
+     * Registra la posa del modello selezionato al tempo indicato
+     */
+    addAuthoringKeyframe: function() {
+        const time = this.getAuthoringTime();
+        if (window.AnimationRecorder.addModelKeyframe(time)) {
+            this.updateStatus(`Keyframe ${window.AnimationRecorder.selectedModel.name} a ${this.formatSeconds(time)} s`);
+        } else {
+            this.showError('Seleziona un modello da registrare');
+        }
+    },
+    
+    /**
+     * Registra la vista corrente come keyframe della camera
+     */
+    addCameraKeyframe: function() {
+        const time = this.getAuthoringTime();
+        window.AnimationRecorder.addCameraKeyframe(time);
+        this.updateStatus(`Keyframe camera a ${this.formatSeconds(time)} s`);
+    },
+    
+    /**
+     * Rimuove il keyframe del modello selezionato al tempo indicato
+     */
+    removeAuthoringKeyframe: function() {
+        const time = this.getAuthoringTime();
+        if (window.AnimationRecorder.removeKeyframe(time)) {
+            this.updateStatus(`Keyframe a ${this.formatSeconds(time)} s rimosso`);
+        } else {
+            this.updateStatus('Nessun keyframe del modello selezionato a questo tempo');
+        }
+    },
+    
+    /**
+     * Scarica la registrazione come file animazione
+     */
+    downloadRecording: function(format) {
+        if (!window.AnimationRecorder.download(format)) {
+            this.showError('Nessun keyframe da esportare');
+        }
+    },
+    
+    /**
+     * Cancella la registrazione corrente
+     */
+    resetRecording: function() {
+        if (window.AnimationRecorder.keyframes.length > 0 &&
+            !confirm('Cancellare tutti i keyframe registrati?')) {
+            return;
+        }
+        window.AnimationRecorder.reset();
+        this.updateStatus('Registrazione cancellata');
+    },
+    
+    /**
+     * Esce dalla modalità autore dimenticando la registrazione (modelli rimossi)
      */
-    loadModelsFromUrls: function(modelUrls) {
-        console.log('🌐 Avvio fetch per:', modelUrls);
-        
-        let completedFiles = 0;
-        const totalFiles = modelUrls.length;
+    clearAuthoring: function() {
+        if (window.AnimationRecorder) {
+            window.AnimationRecorder.clear();
+        }
+        if (this.elements.authoringPanel) {
+            this.elements.authoringPanel.classList.add('hidden');
+        }
+        if (this.elements.authoringBtn) {
+            this.elements.authoringBtn.setAttribute('aria-expanded', false);
+        }
+    },
+    
+    /* ===== CLIP GLTF ===== */
+    
+    /**
+     * Collega i controlli delle clip glTF a ClipPlayer
+     */
+    setupClipListeners: function() {
+        if (!window.ClipPlayer) return;
         
-        const loadPromises = modelUrls.map(model => {
-            console.log(`🌐 Fetching: ${model.path}`);
-            // Aggiorna progress bar - fetch iniziato
-            this.updateModelProgress(completedFiles, totalFiles, model.name);
-            
-            return fetch(model.path)
-                .then(response => {
-                    console.log(`🌐 Response per ${model.path}:`, response.status, response.statusText);
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
-                    return response.blob();
-                })
-                .then(blob => {
-                    console.log(`🌐 Blob creato per ${model.name}:`, blob.size, 'bytes');
-                    
-                    // Aggiorna progress bar - file completato
-                    completedFiles++;
-                    this.updateModelProgress(completedFiles, totalFiles, model.name);
-                    
-                    // Crea un File object dal blob
-                    const file = new File([blob], model.name, { type: blob.type });
-                    return { file, model };
-                })
-                .catch(error => {
-                    console.error(`❌ Errore fetch ${model.name}:`, error);
-                    AppConfig.log(1, `Errore caricamento ${model.name}: ${error.message}`);
-                    return null;
-                });
-        });
+        if (this.elements.clipLoop) {
+            this.elements.clipLoop.checked = window.ClipPlayer.loop;
+            this.elements.clipLoop.addEventListener('change', (event) => {
+                window.ClipPlayer.setLoop(event.target.checked);
+            });
+        }
         
-        Promise.allSettled(loadPromises)
-            .then(results => {
-                console.log('🌐 Risultati fetch:', results);
-                
-                const validFiles = results
-                    .filter(result => result.status === 'fulfilled' && result.value !== null)
-                    .map(result => result.value.file);
-                
-                const failedFiles = results.filter(result => result.status === 'rejected').length;
-                
-                console.log('🌐 File validi:', validFiles.length, 'File falliti:', failedFiles);
-                console.log('🌐 ValidFiles dettaglio:', validFiles);
-                
-                if (validFiles.length > 0) {
-                    AppConfig.log(2, `${validFiles.length} modelli caricati con successo`);
-                    if (failedFiles > 0) {
-                        AppConfig.log(1, `${failedFiles} modelli non caricati`);
-                    }
-                    
-                    this.updateStatus(`Rendering ${validFiles.length} modelli...`);
-                    
-                    // Usa ModelLoader per caricare i file
-                    console.log('🌐 Chiamando ModelLoader.loadFiles con:', validFiles);
-                    console.log('🌐 ModelLoader disponibile?', !!window.ModelLoader);
-                    console.log('🌐 loadFiles function?', typeof window.ModelLoader.loadFiles);
-                    
-                    if (window.ModelLoader && typeof window.ModelLoader.loadFiles === 'function') {
-                        console.log('🌐 Avvio ModelLoader.loadFiles...');
-                        window.ModelLoader.loadFiles(
-                            validFiles,
-                            (progress) => {
-                                console.log('🌐 Progress:', progress);
-                                this.updateStatus(`Caricamento modelli: ${Math.round(progress * 100)}%`);
-                            },
-                            (models) => {
-                                console.log('🌐 Modelli caricati, chiamando onModelLoadComplete:', models);
-                                this.onModelLoadComplete(models);
-                                AppConfig.log(2, `Scenario ${this.currentScenario.name} caricato completamente`);
-                            },
-                            (error) => {
-                                console.error('🌐 Errore ModelLoader:', error);
-                                this.showError(`Errore caricamento modelli: ${error}`);
-                            }
-                        );
-                    } else {
-                        this.showError('ModelLoader non disponibile o non ha la funzione loadFiles');
-                    }
-                    
-                } else {
-                    this.showError('Nessun modello caricato con successo');
+        // Cambiando clip durante la riproduzione si passa alla nuova con dissolvenza
+        if (this.elements.clipSelect) {
+            this.elements.clipSelect.addEventListener('change', (event) => {
+                if (window.ClipPlayer.isPlaying()) {
+                    window.ClipPlayer.crossFadeTo(event.target.value);
                 }
             });
+        }
+        
+        window.ClipPlayer.callbacks.onStateChange = this.updateClipPlayState.bind(this);
     },
     
-    /* ===== GESTIONE FILE MODELLI ===== */
-    
     /**
-     * Gestisce la selezione di file modelli dall'utente
+     * Elenca le clip dei modelli in scena; i controlli restano nascosti se non ce ne sono
      */
-    onModelsSelected: function(event) {
-        const files = event.target.files;
-        if (!files || files.length === 0) return;
+    updateClipList: function() {
+        if (!this.elements.clipControls || !this.elements.clipSelect || !window.ClipPlayer) return;
         
-        AppConfig.log(2, `File modelli selezionati: ${files.length}`);
+        const clips = window.ClipPlayer.getClips();
+        this.elements.clipSelect.innerHTML = '';
         
-        this.updateStatus('Caricamento modelli...');
-        this.showLoader('Caricamento modelli in corso...');
+        clips.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${entry.name} (${entry.modelName}, ${entry.duration.toFixed(2)} s)`;
+            this.elements.clipSelect.appendChild(option);
+        });
         
-        // Usa ModelLoader per caricare i file
-        if (window.ModelLoader) {
-            window.ModelLoader.loadFiles(
-                files,
-                this.onModelLoadProgress.bind(this),
-                this.onModelLoadComplete.bind(this),
-                this.onModelLoadError.bind(this)
-            );
-        } else {
-            this.showError('ModelLoader non disponibile');
+        this.elements.clipControls.classList.toggle('hidden', clips.length === 0);
+        this.updateClipPlayState(window.ClipPlayer.isPlaying());
+    },
+    
+    /**
+     * Avvia la clip selezionata, o ferma quella in corso
+     */
+    toggleClipPlayback: function() {
+        if (!window.ClipPlayer || !this.elements.clipSelect) return;
+        
+        if (window.ClipPlayer.isPlaying()) {
+            window.ClipPlayer.stop();
+            this.updateStatus('Clip fermata');
+        } else if (window.ClipPlayer.play(this.elements.clipSelect.value)) {
+            this.updateStatus(`Clip ${this.elements.clipSelect.value} avviata`);
         }
     },
     
     /**
-     * Callback progresso caricamento modelli
+     * Aggiorna il pulsante delle clip (callback di ClipPlayer)
      */
-    onModelLoadProgress: function(message, progress) {
-        this.updateStatus(message);
+    updateClipPlayState: function(isPlaying) {
+        if (!this.elements.clipPlayBtn) return;
         
-        // Aggiorna anche la progress bar se visibile
-        const progressBar = document.getElementById('modelProgressBar');
-        if (progressBar && !progressBar.classList.contains('hidden')) {
-            // Estrai informazioni dal messaggio se possibile
-            const currentFile = message.includes('Caricamento ') ? message.replace('Caricamento ', '').replace('...', '') : message;
-            const percentage = Math.round(progress * 100);
-            this.updateModelProgress(null, null, currentFile, percentage);
+        this.elements.clipPlayBtn.textContent = isPlaying ? '⏹️ Ferma clip' : '▶️ Riproduci clip';
+        this.elements.clipPlayBtn.setAttribute('aria-label', isPlaying ? 'Ferma clip' : 'Riproduci clip');
+    },
+    
+    /**
+     * Dimentica le clip dei modelli rimossi e nasconde i controlli
+     */
+    clearClips: function() {
+        if (window.ClipPlayer) {
+            window.ClipPlayer.clear();
         }
-        
-        AppConfig.log(3, `Progresso caricamento: ${message} (${Math.round(progress * 100)}%)`);
+        if (this.elements.clipControls) {
+            this.elements.clipControls.classList.add('hidden');
+        }
+        this.updateClipPlayState(false);
     },
     
+    /* ===== TIMELINE ANIMAZIONI ===== */
+    
     /**
-     * Callback completamento caricamento modelli
+     * Configura i controlli della timeline e i callback di Animator
      */
-    onModelLoadComplete: function(models) {
-        this.hideLoader();
-        
-        if (models.length === 0) {
-            this.showError('Nessun modello caricato');
-            this.updateStatus('Errore caricamento');
-            return;
+    setupTimelineListeners: function() {
+        // Popola le velocità di riproduzione dalla configurazione
+        if (this.elements.timelineSpeed) {
+            AppConfig.animations.scenario.playbackSpeeds.forEach(speed => {
+                const option = document.createElement('option');
+                option.value = speed;
+                option.textContent = `${speed}×`;
+                option.selected = speed === 1;
+                this.elements.timelineSpeed.appendChild(option);
+            });
+            
+            this.elements.timelineSpeed.addEventListener('change', (event) => {
+                if (window.Animator) window.Animator.setSpeed(parseFloat(event.target.value));
+            });
         }
         
-        AppConfig.log(2, `Modelli caricati con successo: ${models.length}`);
+        if (this.elements.timelineLoop) {
+            this.elements.timelineLoop.addEventListener('change', (event) => {
+                if (window.Animator) window.Animator.setLoop(event.target.checked);
+            });
+        }
         
-        // Aggiungi modelli alla scena con posizioni configurate
-        models.forEach((model, index) => {
-            if (window.Scene3D) {
-                // Applica posizione se configurata
-                if (this.currentScenario && this.currentScenario.positions && this.currentScenario.positions[index]) {
-                    const pos = this.currentScenario.positions[index];
-                    model.position.set(pos.x, pos.y, pos.z);
-                    console.log(`📍 Applicata posizione configurata al modello ${index + 1}: (${pos.x}, ${pos.y}, ${pos.z})`);
-                }
-                window.Scene3D.addModel(model);
-                
-                // DEBUG: Controlla i controlli touch dopo l'aggiunta del modello
-                setTimeout(() => {
-                    console.log('🔍 DEBUG: Controllo stato controlli touch dopo addModel');
-                    this.debugTouchControlsState();
-                }, 100);
-            }
-        });
+        // Trascinando il cursore l'animazione va in pausa e segue la posizione
+        if (this.elements.timelineScrubber) {
+            this.elements.timelineScrubber.addEventListener('input', (event) => {
+                if (!window.Animator) return;
+                if (window.Animator.isPlaying) window.Animator.pause();
+                window.Animator.seek(parseFloat(event.target.value));
+            });
+        }
         
-        this.updateStatus(`${models.length} modello(i) caricato(i)`);
+        if (window.Animator) {
+            window.Animator.callbacks.onTimeUpdate = this.updateTimeline.bind(this);
+            window.Animator.callbacks.onStateChange = this.updateTimelinePlayState.bind(this);
+            window.Animator.callbacks.onComplete = (clip) => {
+                this.updateStatus(`Animazione ${clip.name} completata`);
+            };
+        }
+    },
+    
+    /**
+     * Mostra la timeline per la clip attiva
+     */
+    showTimeline: function() {
+        if (!this.elements.timeline || !window.Animator || !window.Animator.currentClip) return;
         
-        // Crea controlli visibilità per modelli multipli
-        if (models.length > 1) {
-            this.createModelVisibilityControls();
+        this.updateTimeline(window.Animator.currentTime, window.Animator.currentClip);
+        this.updateTimelinePlayState(window.Animator.isPlaying);
+        this.elements.timeline.classList.remove('hidden');
+    },
+    
+    /**
+     * Nasconde la timeline
+     */
+    hideTimeline: function() {
+        if (this.elements.timeline) {
+            this.elements.timeline.classList.add('hidden');
         }
+    },
+    
+    /**
+     * Aggiorna cursore e indicatore di tempo della timeline
+     */
+    updateTimeline: function(time, clip) {
+        if (!clip) return;
         
-        // Nascondi progress bar al completamento
-        this.hideModelProgressBar();
+        if (this.elements.timelineScrubber) {
+            this.elements.timelineScrubber.max = clip.duration;
+            this.elements.timelineScrubber.value = time;
+        }
         
-        // Reset input file
-        if (this.elements.fileInput) {
-            this.elements.fileInput.value = '';
+        if (this.elements.timelineTime) {
+            this.elements.timelineTime.textContent =
+                `${this.formatSeconds(time)} / ${this.formatSeconds(clip.duration)} s`;
         }
         
-        // DEBUG: Stato finale dei controlli touch dopo caricamento completo
-        setTimeout(() => {
-            console.log('🔍 DEBUG: Stato controlli touch alla fine del caricamento modelli');
-            this.debugTouchControlsState();
-            // Forza nuovamente i controlli per sicurezza
-            this.forceShowTouchControls();
-        }, 500);
+        // In registrazione il tempo del keyframe segue la timeline (se non lo si sta scrivendo)
+        const authoringTime = this.elements.authoringTime;
+        if (authoringTime && window.AnimationRecorder && window.AnimationRecorder.active &&
+            document.activeElement !== authoringTime) {
+            authoringTime.value = this.formatSeconds(time);
+        }
     },
     
     /**
-     * Callback errore caricamento modelli
+     * Aggiorna l'icona del pulsante play/pausa
      */
-    onModelLoadError: function(error) {
-        this.hideLoader();
-        this.hideModelProgressBar(); // Nascondi progress bar anche in caso di errore
-        this.showError('Errore caricamento modelli: ' + error);
-        this.updateStatus('Errore caricamento');
+    updateTimelinePlayState: function(isPlaying) {
+        const button = this.elements.timelinePlayBtn;
+        if (!button) return;
         
-        AppConfig.log(0, 'Errore caricamento modelli:', error);
+        button.textContent = isPlaying ? '⏸️' : '▶️';
+        button.title = isPlaying ? 'Pausa' : 'Riproduci';
+        button.setAttribute('aria-label', button.title);
     },
     
-    /* ===== GESTIONE ANIMAZIONI ===== */
-    
     /**
-     * Gestisce la selezione di file animazione
+     * Alterna play e pausa dell'animazione corrente
      */
-    onAnimationSelected: function(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        AppConfig.log(2, `File animazione selezionato: ${file.name}`);
-        // TODO: Implementare caricamento animazioni
+    toggleAnimationPlayback: function() {
+        if (!window.Animator || !window.Animator.currentClip) return;
         
-        this.updateStatus('File animazione caricato');
-        if (this.elements.animationBtn) {
-            this.elements.animationBtn.disabled = false;
+        if (window.Animator.isPlaying) {
+            window.Animator.pause();
+            this.updateStatus('Animazione in pausa');
+        } else {
+            this.startAnimation();
         }
     },
     
+    /**
+     * Passa al keyframe precedente (-1) o successivo (+1)
+     */
+    stepAnimation: function(direction) {
+        if (!window.Animator || !window.Animator.currentClip) return;
+        window.Animator.stepKeyframe(direction);
+    },
+    
+    /**
+     * Converte millisecondi in secondi con due decimali
+     */
+    formatSeconds: function(ms) {
+        return (ms / 1000).toFixed(2);
+    },
+    
     /* ===== FEEDBACK UTENTE ===== */
     
     /**
@@ -824,14 +2626,62 @@ window.UI = {
     /**
      * Mostra messaggio di errore
      */
-    showError: function(message) {
+    showError: function(message, details) {
         if (this.elements.error && this.elements.errorMessage) {
             this.elements.errorMessage.textContent = message;
+            this.renderErrorDetails(details || []);
             this.elements.error.classList.remove('hidden');
         }
         AppConfig.log(0, `Errore UI: ${message}`);
     },
     
+    /**
+     * Mostra sotto il messaggio di errore un elenco di dettagli (una riga per voce)
+     */
+    renderErrorDetails: function(details) {
+        const list = this.elements.errorDetails;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        list.classList.toggle('hidden', details.length === 0);
+    },
+    
+    /**
+     * Mostra i problemi trovati nei file animazione nel riquadro di errore
+     * @param {Array} diagnostics - Problemi { file, line, reason, severity }
+     */
+    showDiagnostics: function(diagnostics) {
+        const files = new Set(diagnostics.map(diagnostic => diagnostic.file));
+        const count = diagnostics.length;
+        
+        this.showError(
+            `${count} ${count === 1 ? 'problema' : 'problemi'} nei file animazione (${files.size})`,
+            this.formatDiagnostics(diagnostics)
+        );
+    },
+    
+    /**
+     * Converte i problemi in righe "file:riga - motivo", con un limite per non riempire lo schermo
+     */
+    formatDiagnostics: function(diagnostics) {
+        const limit = 30;
+        const lines = diagnostics.slice(0, limit).map(diagnostic => {
+            const icon = diagnostic.severity === 'warning' ? '⚠️' : '❌';
+            const where = diagnostic.line > 0 ? `${diagnostic.file}:${diagnostic.line}` : diagnostic.file;
+            return `${icon} ${where} - ${diagnostic.reason}`;
+        });
+        
+        if (diagnostics.length > limit) {
+            lines.push(`... e altri ${diagnostics.length - limit} (vedi log)`);
+        }
+        return lines;
+    },
+    
     /**
      * Nasconde messaggio di errore
      */
@@ -861,8 +2711,9 @@ window.UI = {
     
     /**
      * Aggiorna la progress bar
+     * @param {string} bytes - Byte scaricati da mostrare accanto al conteggio file (opzionale)
      */
-    updateModelProgress: function(currentFile, totalFiles, fileName = '', percentage = null) {
+    updateModelProgress: function(currentFile, totalFiles, fileName = '', percentage = null, bytes = '') {
         const progressBarFill = document.getElementById('progress-bar-fill');
         const progressCurrentFile = document.getElementById('progress-current-file');
         const progressPercentage = document.getElementById('progress-percentage');
@@ -890,8 +2741,9 @@ window.UI = {
             progressPercentage.textContent = `${percentage}%`;
         }
         
-        if (progressFilesCount) {
-            progressFilesCount.textContent = `${currentFile} / ${totalFiles} file`;
+        // Durante l'analisi arrivano solo nome e percentuale: il conteggio resta quello dei download
+        if (progressFilesCount && totalFiles !== null) {
+            progressFilesCount.textContent = `${currentFile} / ${totalFiles} file` + (bytes ? ` · ${bytes}` : '');
         }
         
         console.log(`📊 Progress aggiornato: ${percentage}% - ${fileName}`);
@@ -929,9 +2781,17 @@ window.UI = {
      * Pulisce tutti i modelli dalla scena
      */
     clearAll: function() {
+        if (window.Animator) {
+            window.Animator.clear();
+        }
+        this.hideTimeline();
+        this.clearProcedure();
+        
         if (window.Scene3D) {
             window.Scene3D.clearAllModels();
         }
+        this.clearClips();
+        this.clearAuthoring();
         
         // Reset input files
         if (this.elements.fileInput) this.elements.fileInput.value = '';
@@ -1432,6 +3292,76 @@ window.UI = {
         }
     },
     
+    /* ===== VISTE DELLA CAMERA ===== */
+    
+    /**
+     * Porta la camera su una vista (cubo delle viste, pulsante Iso, elenco dello scenario)
+     * @param {string|Object} view - Vista predefinita (front, top, iso...) o vista dello scenario
+     */
+    showView: function(view) {
+        if (!window.Scene3D) return;
+        
+        if (window.Scene3D.showView(view)) {
+            const label = typeof view === 'string' ? window.Scene3D.viewPresets[view].label : view.name;
+            this.updateStatus(`Vista: ${label}`);
+        } else if (window.Scene3D.cameraLocked) {
+            this.updateStatus('Camera bloccata durante l\'animazione');
+        }
+    },
+    
+    /**
+     * Imposta le viste dello scenario e mostra quella di default
+     * @param {Object|null} scenario - Scenario caricato, null per tornare alle sole viste predefinite
+     */
+    setScenarioViews: function(scenario) {
+        const views = scenario && scenario.views ? scenario.views : [];
+        if (!window.Scene3D) return;
+        
+        window.Scene3D.setViews(views);
+        this.updateViewList();
+        
+        if (window.Scene3D.defaultView) {
+            window.Scene3D.showView(window.Scene3D.defaultView);
+        }
+    },
+    
+    /**
+     * Elenca le viste dello scenario; l'elenco resta nascosto se non ce ne sono
+     */
+    updateViewList: function() {
+        const select = this.elements.viewSelect;
+        if (!select || !window.Scene3D) return;
+        
+        const views = window.Scene3D.views;
+        select.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '🎥 Viste';
+        select.appendChild(placeholder);
+        
+        views.forEach((view, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = index === 0 ? `${view.name} (default)` : view.name;
+            select.appendChild(option);
+        });
+        
+        select.classList.toggle('hidden', views.length === 0);
+    },
+    
+    /**
+     * Mostra la vista scelta dall'elenco e ripristina la voce iniziale
+     */
+    onViewSelected: function(event) {
+        const view = window.Scene3D.views[event.target.value];
+        event.target.value = '';
+        
+        if (view) {
+            this.showView(view);
+        }
+    },
+    
     /**
      * Reset vista camera
      */
@@ -1448,8 +3378,26 @@ window.UI = {
      */
     startAnimation: function() {
         AppConfig.log(2, 'Avvio animazione richiesto');
-        // TODO: Implementare sistema animazioni
-        this.updateStatus('Animazione avviata');
+        
+        // Il passo attivo della procedura può essere una clip glTF
+        const step = window.Procedure && window.Procedure.isActive()
+            ? window.Procedure.steps[window.Procedure.currentStep]
+            : null;
+        if (step && step.clipName && !step.error) {
+            if (window.ClipPlayer.play(step.clipName, { loop: false })) {
+                this.updateStatus(`Clip ${step.clipName} avviata`);
+            }
+            return;
+        }
+        
+        if (!window.Animator || !window.Animator.currentClip) {
+            this.showError('Nessuna animazione caricata');
+            return;
+        }
+        
+        if (window.Animator.play()) {
+            this.updateStatus(`Animazione ${window.Animator.currentClip.name} avviata`);
+        }
     }
 };
 
@@ -0,0 +1,320 @@
+/**
+ * SW.JS - Service worker per l'uso senza connessione
+ *
+ * Questo file gestisce:
+ * - Copia dell'applicazione (HTML, CSS, moduli, Three.js in vendor/) all'installazione
+ * - Copia di home_config.txt e dei file degli scenari che elenca (modelli, MTL con le loro
+ *   texture, risorse dei .gltf, animazioni, immagini delle card)
+ * - Risposte dalla rete quando c'è, altrimenti dalla copia salvata
+ *
+ * L'applicazione e i file degli scenari stanno in due cache separate: quella degli scenari ha
+ * un limite di spazio e viene svuotata, insieme ad AssetCache, da ⚙️ Impostazioni
+ *
+ * Cambiare CACHE_NAME quando cambia l'elenco dei file dell'applicazione
+ */
+
+const CACHE_NAME = 'campusvt-offline-v3';
+
+// File degli scenari: il nome è anche in AssetCache.offlineCacheName
+const SCENARIO_CACHE = 'campusvt-scenarios';
+
+// Spazio massimo dei file degli scenari, oltre si eliminano quelli salvati da più tempo
+const SCENARIO_MAX_SIZE = 300 * 1024 * 1024;
+
+// Intestazione con la dimensione del file salvato, letta per il limite e da AssetCache
+const SIZE_HEADER = 'X-Campusvt-Size';
+
+// File dell'applicazione: devono esistere tutti, altrimenti l'installazione fallisce
+const APP_FILES = [
+    './',
+    'index.html',
+    'newlogo.png',
+    'users.txt',
+    'css/base.css',
+    'css/components.css',
+    'css/layout.css',
+    'css/pages.css',
+    'js/app.js',
+    'js/config.js',
+    'js/scene3d.js',
+    'js/parsers.js',
+    'js/parserpool.js',
+    'js/parserworker.js',
+    'js/assetcache.js',
+    'js/scenariopackage.js',
+    'js/modelloader.js',
+    'js/animator.js',
+    'js/procedure.js',
+    'js/clipplayer.js',
+    'js/animationrecorder.js',
+    'js/ui.js',
+    'vendor/three/build/three.module.js',
+    'vendor/three/examples/jsm/loaders/OBJLoader.js',
+    'vendor/three/examples/jsm/loaders/MTLLoader.js',
+    'vendor/three/examples/jsm/loaders/STLLoader.js',
+    'vendor/three/examples/jsm/loaders/GLTFLoader.js',
+    'vendor/three/examples/jsm/utils/BufferGeometryUtils.js'
+];
+
+// Configurazione degli scenari: i file che cita vengono salvati insieme all'applicazione
+const HOME_CONFIG = 'home_config.txt';
+
+/* ===== INSTALLAZIONE ===== */
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES).then(() => precacheScenarios(cache)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Salva home_config.txt (con l'applicazione) e i file degli scenari non ancora salvati
+ * Un file mancante viene solo segnalato: gli scenari restano utilizzabili senza
+ */
+function precacheScenarios(cache) {
+    return fetch(HOME_CONFIG, { cache: 'no-cache' })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return cache.put(HOME_CONFIG, response.clone()).then(() => response.text());
+        })
+        .then(text => precacheScenarioFiles(text))
+        .catch(error => console.warn(`[SW] ${HOME_CONFIG} non salvato: ${error.message}`));
+}
+
+/**
+ * Salva i file citati da un testo di home_config.txt (quelli già salvati vengono saltati)
+ */
+function precacheScenarioFiles(text) {
+    const paths = findScenarioFiles(text);
+    return caches.open(SCENARIO_CACHE)
+        .then(cache => Promise.all(paths.map(path => precacheFile(cache, path))))
+        .then(results => {
+            const saved = results.reduce((sum, count) => sum + count, 0);
+            console.log(`[SW] Salvati ${saved} file degli scenari`);
+            return trimScenarioCache();
+        });
+}
+
+/**
+ * Percorsi citati da model=, animation= e image= (senza duplicati)
+ */
+function findScenarioFiles(configText) {
+    const paths = new Set();
+    
+    configText.split('\n').forEach(line => {
+        const match = line.trim().match(/^(model|animation|image)\s*=\s*(.+)$/i);
+        if (match) paths.add(match[2].trim());
+    });
+    
+    return Array.from(paths);
+}
+
+/**
+ * Salva un file e, per MTL e .gltf, le risorse che cita
+ * I file già salvati vengono saltati: si aggiornano quando vengono usati con la rete disponibile
+ * @returns {Promise} Risolta con il numero di file salvati
+ */
+function precacheFile(cache, path) {
+    return cache.match(path)
+        .then(cached => (cached ? null : fetch(path)))
+        .then(response => {
+            if (!response) return 0;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const extension = path.toLowerCase().split('.').pop();
+            if (extension !== 'mtl' && extension !== 'gltf') {
+                return putScenarioFile(cache, path, response).then(() => 1);
+            }
+            
+            return putScenarioFile(cache, path, response.clone())
+                .then(() => response.text())
+                .then(text => {
+                    const resources = extension === 'mtl' ? findMTLTextures(text) : findGLTFResources(text);
+                    const folder = path.substring(0, path.lastIndexOf('/') + 1);
+                    return Promise.all(resources.map(resource => precacheFile(cache, folder + resource)));
+                })
+                .then(counts => counts.reduce((sum, count) => sum + count, 1));
+        })
+        .catch(error => {
+            console.warn(`[SW] ${path} non salvato: ${error.message}`);
+            return 0;
+        });
+}
+
+/**
+ * Texture di un MTL (map_Kd, map_Bump, bump, disp, norm...); l'ultimo valore è il nome del file
+ * I percorsi assoluti (es. C:/...) restano fuori: anche il visualizzatore non può leggerli
+ */
+function findMTLTextures(text) {
+    const textures = new Set();
+    
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length > 1 && /^(map_\w+|bump|disp|decal|norm|refl)$/i.test(parts[0])) {
+            const texture = parts[parts.length - 1].replace(/\\/g, '/');
+            if (!/^([a-z]:)?\//i.test(texture)) textures.add(texture);
+        }
+    });
+    
+    return Array.from(textures);
+}
+
+/**
+ * Buffer e immagini esterni di un .gltf (gli URI "data:" sono già nel file)
+ */
+function findGLTFResources(text) {
+    try {
+        const gltf = JSON.parse(text);
+        return [...(gltf.buffers || []), ...(gltf.images || [])]
+            .map(entry => entry.uri)
+            .filter(uri => uri && !uri.startsWith('data:'))
+            .map(uri => decodeURIComponent(uri));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Salva un file degli scenari annotando la sua dimensione, che serve al limite di spazio
+ */
+function putScenarioFile(cache, key, response) {
+    return response.blob().then(blob => {
+        const headers = new Headers(response.headers);
+        headers.set(SIZE_HEADER, String(blob.size));
+        return cache.put(key, new Response(blob, { status: response.status, statusText: response.statusText, headers: headers }));
+    });
+}
+
+/**
+ * Elimina i file degli scenari salvati da più tempo finché lo spazio non rientra in SCENARIO_MAX_SIZE
+ * Cache.keys() restituisce i file nell'ordine di salvataggio, e un file aggiornato torna in fondo
+ */
+function trimScenarioCache() {
+    return caches.open(SCENARIO_CACHE).then(cache => cache.keys()
+        .then(requests => Promise.all(requests.map(request => cache.match(request)))
+            .then(responses => {
+                const sizes = responses.map(response => (response ? Number(response.headers.get(SIZE_HEADER)) || 0 : 0));
+                let total = sizes.reduce((sum, size) => sum + size, 0);
+                const removed = [];
+                
+                for (let i = 0; i < requests.length && total > SCENARIO_MAX_SIZE; i++) {
+                    total -= sizes[i];
+                    removed.push(cache.delete(requests[i]));
+                }
+                if (removed.length > 0) {
+                    console.log(`[SW] Eliminati ${removed.length} file degli scenari per il limite di spazio`);
+                }
+                return Promise.all(removed);
+            })));
+}
+
+/* ===== ATTIVAZIONE ===== */
+
+self.addEventListener('activate', (event) => {
+    // Le copie delle versioni precedenti dell'applicazione vengono eliminate (i file degli scenari restano)
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('campusvt-offline-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/* ===== RICHIESTE ===== */
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    
+    // Solo i file di questo sito; le altre richieste (es. CDN) passano invariate
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    // Una home_config.txt cambiata può citare nuovi scenari: vengono salvati subito
+    if (url.pathname.endsWith('/' + HOME_CONFIG)) {
+        event.respondWith(fromNetworkHomeConfig(event, request, url));
+        return;
+    }
+    
+    // Three.js in vendor/ cambia solo con una nuova versione dell'app (CACHE_NAME): la copia salvata basta
+    if (url.pathname.includes('/vendor/')) {
+        event.respondWith(fromCache(url).then(cached => cached || fromNetwork(event, request, url)));
+        return;
+    }
+    
+    event.respondWith(
+        fromNetwork(event, request, url).catch(error => fromCache(url).then(cached => {
+            if (cached) return cached;
+            throw error;
+        }))
+    );
+});
+
+/**
+ * Scarica dalla rete aggiornando la copia salvata: i file dell'applicazione in CACHE_NAME,
+ * gli altri (modelli, texture, animazioni...) in SCENARIO_CACHE, entro il suo limite di spazio
+ * Le copie sono salvate senza query string: ?nocache= serve solo a evitare la cache HTTP
+ */
+function fromNetwork(event, request, url) {
+    return fetch(request).then(response => {
+        if (response.status === 200 && response.type === 'basic') {
+            const copy = response.clone();
+            const key = url.origin + url.pathname;
+            
+            // Senza waitUntil il service worker può essere fermato prima che la copia sia scritta
+            event.waitUntil(isAppFile(url)
+                ? caches.open(CACHE_NAME).then(cache => cache.put(key, copy))
+                : caches.open(SCENARIO_CACHE).then(cache => putScenarioFile(cache, key, copy)).then(trimScenarioCache));
+        }
+        return response;
+    });
+}
+
+/**
+ * File dell'applicazione (APP_FILES e vendor/), salvati senza limite di spazio
+ */
+function isAppFile(url) {
+    const path = url.pathname.substring(new URL(self.registration.scope).pathname.length);
+    return path.startsWith('vendor/') || APP_FILES.includes(path || './');
+}
+
+/**
+ * Scarica home_config.txt; se il testo è cambiato rispetto alla copia salvata la aggiorna
+ * e salva i file dei nuovi scenari, leggendo la stessa risposta invece di scaricarla di nuovo
+ */
+function fromNetworkHomeConfig(event, request, url) {
+    const previous = fromCache(url).then(cached => (cached ? cached.text() : null));
+    
+    return fetch(request)
+        .then(response => {
+            if (response.status === 200 && response.type === 'basic') {
+                const copy = response.clone();
+                const content = response.clone();
+                
+                event.waitUntil(Promise.all([content.text(), previous])
+                    .then(([text, previousText]) => {
+                        if (text === previousText) return null;
+                        return caches.open(CACHE_NAME).then(cache => cache.put(url.origin + url.pathname, copy))
+                            .then(() => precacheScenarioFiles(text));
+                    })
+                    .catch(error => console.warn(`[SW] ${HOME_CONFIG} non salvato: ${error.message}`)));
+            }
+            return response;
+        })
+        .catch(error => fromCache(url).then(cached => {
+            if (cached) return cached;
+            throw error;
+        }));
+}
+
+/**
+ * Copia salvata di un file (applicazione o scenari), ignorando la query string
+ */
+function fromCache(url) {
+    return caches.open(CACHE_NAME)
+        .then(cache => cache.match(url.origin + url.pathname, { ignoreSearch: true }))
+        .then(cached => cached || caches.open(SCENARIO_CACHE)
+            .then(cache => cache.match(url.origin + url.pathname, { ignoreSearch: true })));
+}